@@ -53,10 +53,18 @@ function buildModel(db, schema) {
       return model.find(conditions, projection, options);
     },
 
-    update(conditions, object, projection) {
-      return model.updateOne(conditions, object, {
-        select: projection
-      });
+    remove(conditions, projection) {
+      return model.find(conditions, projection).then(removed => model
+        .deleteMany({ _id: { $in: removed.map(x => x._id) } })
+        .then(() => removed)
+      );
+    },
+
+    update(conditions, object, { multi, upsert }) {
+      // Both report upserted entity IDs, which Provider.upsert relies on
+      return multi
+        ? model.updateMany(conditions, object, { upsert })
+        : model.updateOne(conditions, object, { upsert });
     }
   };
 }
@@ -0,0 +1,30 @@
+'use strict';
+
+const {
+  isNil
+} = require('ramda');
+
+// Signals are duck-typed, i.e. any `AbortSignal`-like object will do
+const isAborted = signal => !isNil(signal) && Boolean(signal.aborted);
+
+// Calls `listener` once `signal` aborts, returns a function removing it
+function onAbort(signal, listener) {
+  if (isNil(signal))
+    return () => {};
+
+  const remove = () => signal.removeEventListener('abort', once);
+
+  function once() {
+    remove();
+    listener();
+  }
+
+  signal.addEventListener('abort', once);
+
+  return remove;
+}
+
+module.exports = {
+  isAborted,
+  onAbort
+};
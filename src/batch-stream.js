@@ -0,0 +1,158 @@
+'use strict';
+
+const {
+  dissocPath,
+  has,
+  isNil,
+  min,
+  omit,
+  split,
+  uniq
+} = require('ramda');
+
+const {
+  Readable
+} = require('stream');
+
+const {
+  getPath,
+  isInclusion,
+  parseSort
+} = require('./query');
+
+// Returns projection including `keys` and the keys that were added to it
+function includeKeys(projection, keys) {
+  const _projection = projection || {};
+
+  if (!isInclusion(_projection)) {
+    const added = keys.filter(key => has(key, _projection));
+
+    return [omit(added, _projection), added];
+  }
+
+  const added = keys.filter(key => key === '_id'
+    ? has('_id', _projection) && !_projection._id
+    : !_projection[key]
+  );
+
+  return [{
+    ..._projection,
+    ...added.reduce((result, key) => ({ ...result, [key]: 1 }), {})
+  }, added];
+}
+
+/* Keyset cursor that matches entities after `last` in `key` order. `_id` breaks
+ * ties for non-unique keys.
+ */
+function after(conditions, key, order, last) {
+  if (isNil(last))
+    return conditions;
+
+  const op = order === -1 ? '$lt' : '$gt';
+
+  if (key === '_id')
+    return { $and: [conditions, { _id: { [op]: last._id } }] };
+
+  const value = getPath(key, last);
+
+  return {
+    $and: [conditions, {
+      $or: [
+        { [key]: { [op]: value } },
+        { [key]: value, _id: { [op]: last._id } }
+      ]
+    }]
+  };
+}
+
+/* Returns an object-mode Readable that pulls pages of up to `batchSize`
+ * entities from `exec(query)` on demand. Pages are fetched by skip and limit
+ * or, when `options.keyset` is set to `true` or a field name, after the last
+ * entity of the previous page in that field order.
+ */
+function batchStream(exec, batchSize, query) {
+  const {
+    conditions,
+    projection,
+
+    options: { keyset, limit, skip, sort, ...options } = {}
+  } = query;
+
+  const key = keyset === true ? '_id' : keyset;
+
+  // Keyset pages are sorted by the key only, ascending unless sorted otherwise
+  const [, order = 1] = parseSort(sort).find(([field]) => field === key) || [];
+
+  const [_projection, added] = isNil(key)
+    ? [projection, []]
+    : includeKeys(projection, uniq(['_id', key]));
+
+  const strip = entity => added.reduce(
+    (result, field) => dissocPath(split('.', field), result), entity
+  );
+
+  let left    = isNil(limit) || limit === 0 ? Infinity : limit;
+  let offset  = skip || 0;
+  let last    = null;
+  let reading = false;
+
+  function fetchPage(size) {
+    if (isNil(key))
+      return exec({
+        conditions,
+        projection,
+
+        options: { ...options, limit: size, skip: offset, sort }
+      });
+
+    return exec({
+      conditions: after(conditions, key, order, last),
+      projection: _projection,
+
+      options: {
+        ...options,
+
+        limit: size,
+        // Initial skip only applies to the first page
+        skip:  isNil(last) ? skip : undefined,
+        sort:  key === '_id'
+          ? { _id: order }
+          : { [key]: order, _id: order }
+      }
+    });
+  }
+
+  return new Readable({
+    objectMode:    true,
+    highWaterMark: batchSize,
+
+    read() {
+      if (reading)
+        return;
+
+      reading = true;
+
+      const size = min(left, batchSize);
+
+      fetchPage(size).then(batch => {
+        reading = false;
+
+        left   -= batch.length;
+        offset += batch.length;
+
+        if (batch.length > 0)
+          last = batch[batch.length - 1];
+
+        for (const entity of batch)
+          this.push(strip(entity));
+
+        if (batch.length < size || left <= 0)
+          this.push(null);
+      }, err => this.destroy(err));
+    }
+  });
+}
+
+module.exports = {
+  batchStream
+};
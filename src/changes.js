@@ -0,0 +1,67 @@
+'use strict';
+
+/* Async iterator over `events` of `emitter` with `(err, msg)` listeners.
+ * Yields `{ event, err, msg }` and queues events until they are consumed.
+ * Listeners are removed on `return`, e.g. when breaking out of `for await`.
+ */
+class ChangeIterator {
+  constructor(emitter, events) {
+    this._done    = false;
+    this._emitter = emitter;
+    this._pending = [];
+    this._queue   = [];
+
+    this._listeners = events.map(event => {
+      const listener = (err, msg) => this._push({ event, err, msg });
+
+      emitter.on(event, listener);
+
+      return [event, listener];
+    });
+  }
+
+  _push(value) {
+    if (this._pending.length > 0)
+      this._pending.shift()({ value, done: false });
+    else
+      this._queue.push(value);
+  }
+
+  next() {
+    if (this._queue.length > 0)
+      return Promise.resolve({ value: this._queue.shift(), done: false });
+
+    if (this._done)
+      return Promise.resolve({ value: undefined, done: true });
+
+    return new Promise(resolve => this._pending.push(resolve));
+  }
+
+  return(value) {
+    if (!this._done) {
+      this._done = true;
+
+      for (const [event, listener] of this._listeners)
+        this._emitter.removeListener(event, listener);
+
+      this._queue = [];
+
+      for (const resolve of this._pending.splice(0))
+        resolve({ value: undefined, done: true });
+    }
+
+    return Promise.resolve({ value, done: true });
+  }
+
+  throw(err) {
+    return this.return().then(() => Promise.reject(err));
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+module.exports = {
+  ChangeIterator
+};
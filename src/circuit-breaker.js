@@ -0,0 +1,108 @@
+'use strict';
+
+const {
+  AbortError,
+  CircuitOpenError,
+  StoreError
+} = require('./errors');
+
+const CircuitStates = {
+  Closed:   'closed',
+  HalfOpen: 'half-open',
+  Open:     'open'
+};
+
+// Errors replied by Store mean it is up
+const isFailure = err => !(err instanceof StoreError);
+
+/* Fails requests fast after `threshold` consecutive failures. Once
+ * `resetTimeout` passes a single probe request is let through, closing the
+ * circuit on success and opening it again on failure.
+ */
+class CircuitBreaker {
+  constructor({
+    threshold    = 5,
+    resetTimeout = 10000,
+    tripOn       = isFailure
+  } = {}, { onClose, onOpen } = {}) {
+    this._threshold    = threshold;
+    this._resetTimeout = resetTimeout;
+    this._tripOn       = tripOn;
+
+    this._onClose = onClose;
+    this._onOpen  = onOpen;
+
+    this._failures = 0;
+    this._openedAt = 0;
+    this._state    = CircuitStates.Closed;
+  }
+
+  get state() {
+    return this._state;
+  }
+
+  // Calls `fn` unless the circuit is open
+  exec(fn, query) {
+    if (this._state === CircuitStates.HalfOpen ||
+        (this._state === CircuitStates.Open &&
+         Date.now() - this._openedAt < this._resetTimeout))
+      return Promise.reject(new CircuitOpenError(query));
+
+    if (this._state === CircuitStates.Open)
+      this._state = CircuitStates.HalfOpen;
+
+    return fn().then(result => {
+      this._succeed();
+
+      return result;
+    }, err => {
+      if (err instanceof AbortError)
+        this._abort();
+      else if (this._tripOn(err))
+        this._fail();
+      else
+        this._succeed();
+
+      throw err;
+    });
+  }
+
+  // Aborts tell nothing about Store, so they change nothing but let another
+  // probe through
+  _abort() {
+    if (this._state === CircuitStates.HalfOpen)
+      this._state = CircuitStates.Open;
+  }
+
+  _fail() {
+    ++this._failures;
+
+    if (this._state === CircuitStates.HalfOpen) {
+      this._openedAt = Date.now();
+      this._state    = CircuitStates.Open;
+    }
+    else if (this._state === CircuitStates.Closed &&
+             this._failures >= this._threshold) {
+      this._openedAt = Date.now();
+      this._state    = CircuitStates.Open;
+
+      if (this._onOpen)
+        this._onOpen(this._failures);
+    }
+  }
+
+  _succeed() {
+    const wasClosed = this._state === CircuitStates.Closed;
+
+    this._failures = 0;
+    this._state    = CircuitStates.Closed;
+
+    if (!wasClosed && this._onClose)
+      this._onClose();
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitStates
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+const {
+  ok: assert,
+  deepStrictEqual,
+  notDeepStrictEqual
+} = require('assert');
+
+const {
+  always,
+  complement,
+  identity,
+  is,
+  isNil,
+  omit,
+  tryCatch
+} = require('ramda');
+
+const {
+  assertSchema
+} = require('./assert');
+
+const {
+  toTransportAdapter
+} = require('./nats-adapter');
+
+const {
+  getSubjects: _getSubjects
+} = require('./subjects');
+
+const isNotNil = complement(isNil);
+
+// Replayed requests must not be skipped or limited for their original timeout
+function withoutDeadline(msg) {
+  const parsed = tryCatch(JSON.parse, identity)(msg);
+
+  return is(Object, parsed) && !is(Error, parsed) && !is(Array, parsed)
+    ? JSON.stringify(omit(['deadline', 'timeout'], parsed))
+    : msg;
+}
+
+/* Collects requests dead lettered by Store to `dlq` subject, keeping up to
+ * `limit` latest ones, so that they can be listed and replayed after a fix.
+ */
+class DeadLetterQueue {
+  constructor({
+    schema,
+    transport,
+
+    getSubjects = _getSubjects,
+    limit       = 1000
+  }) {
+    assertSchema(schema);
+    assert(isNotNil(transport), 'transport must be set');
+
+    const adapter = toTransportAdapter(transport);
+
+    this._publish     = adapter.publish.bind(adapter);
+    this._subscribe   = adapter.subscribe.bind(adapter);
+    this._unsubscribe = adapter.unsubscribe.bind(adapter);
+
+    this._subjects = getSubjects(schema.name);
+
+    assert(isNotNil(this._subjects.dlq), 'subjects must have dlq');
+
+    this._limit    = limit;
+    this._messages = [];
+    this._sids     = [];
+  }
+
+  open() {
+    deepStrictEqual(this._sids, [], 'DeadLetterQueue already opened');
+
+    this._sids.push(...this._subjects.dlq.map(
+      sub => this._subscribe(sub, msg => this._onDeadLetter(msg))
+    ));
+  }
+
+  close() {
+    notDeepStrictEqual(this._sids, [], 'DeadLetterQueue not opened');
+
+    this._sids.map(this._unsubscribe);
+
+    this._sids = [];
+  }
+
+  // Returns dead lettered requests as `{ error, msg, subject, timestamp }`
+  list() {
+    return [...this._messages];
+  }
+
+  // Republishes dead lettered requests matching `predicate` to their subjects
+  // and removes them from the queue. Requests failing again are dead lettered
+  // anew.
+  replay(predicate = always(true)) {
+    const replayed = this._messages.filter(predicate);
+
+    this._messages = this._messages.filter(complement(predicate));
+
+    return Promise.all(replayed.map(({ msg, subject }) =>
+      this._publish(subject, withoutDeadline(msg))
+    )).then(always(replayed));
+  }
+
+  clear() {
+    this._messages = [];
+  }
+
+  _onDeadLetter(msg) {
+    const deadLetter = tryCatch(JSON.parse, identity)(msg);
+
+    // Ignores messages not published by Store
+    if (!is(Object, deadLetter) || is(Error, deadLetter) ||
+        isNil(deadLetter.subject))
+      return;
+
+    this._messages.push(deadLetter);
+
+    if (this._messages.length > this._limit)
+      this._messages.shift();
+  }
+}
+
+module.exports = {
+  DeadLetterQueue
+};
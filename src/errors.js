@@ -0,0 +1,96 @@
+'use strict';
+
+// Codes of errors replied by Store
+const ErrorCodes = {
+  Conflict:   'CONFLICT',
+  Internal:   'INTERNAL',
+  NotFound:   'NOT_FOUND',
+  Skipped:    'SKIPPED',
+  Validation: 'VALIDATION'
+};
+
+class ProviderError extends Error {
+  constructor(message, query) {
+    super(message);
+    this.query = query;
+  }
+}
+
+// Named like DOM `AbortError` so that `err.name` checks work
+class AbortError extends ProviderError {
+  constructor(query) {
+    super('query aborted', query);
+    this.name = 'AbortError';
+  }
+}
+
+class CircuitOpenError extends ProviderError {
+  constructor(query) {
+    super('circuit open', query);
+  }
+}
+
+// Error replied by Store, e.g. on a model error
+class StoreError extends ProviderError {
+  constructor(message, query, { code = ErrorCodes.Internal, details } = {}) {
+    super(message, query);
+    this.code    = code;
+    this.details = details;
+  }
+}
+
+/* Typed errors are thrown by models, replied by Store with their code and
+ * `details`, and then rejected by Provider as the same class with `query`.
+ */
+class ConflictError extends StoreError {
+  constructor(message, details, query) {
+    super(message, query, { code: ErrorCodes.Conflict, details });
+  }
+}
+
+class NotFoundError extends StoreError {
+  constructor(message, details, query) {
+    super(message, query, { code: ErrorCodes.NotFound, details });
+  }
+}
+
+class ValidationError extends StoreError {
+  constructor(message, details, query) {
+    super(message, query, { code: ErrorCodes.Validation, details });
+  }
+}
+
+class TimeoutError extends ProviderError {
+  constructor(timeout, query) {
+    super(`query timeout after ${timeout}ms`, query);
+    this.timeout = timeout;
+  }
+}
+
+const typedErrors = {
+  [ErrorCodes.Conflict]:   ConflictError,
+  [ErrorCodes.NotFound]:   NotFoundError,
+  [ErrorCodes.Validation]: ValidationError
+};
+
+// Rebuilds an error replied by Store, unknown codes are kept on `StoreError`
+function fromReply({ code, details, message }, query) {
+  const TypedError = typedErrors[code];
+
+  return TypedError
+    ? new TypedError(message, details, query)
+    : new StoreError(message, query, { code, details });
+}
+
+module.exports = {
+  AbortError,
+  CircuitOpenError,
+  ConflictError,
+  ErrorCodes,
+  fromReply,
+  NotFoundError,
+  ProviderError,
+  StoreError,
+  TimeoutError,
+  ValidationError
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+const {
+  randomBytes
+} = require('crypto');
+
+const {
+  isNil
+} = require('ramda');
+
+const createIdempotencyKey = () => randomBytes(16).toString('hex');
+
+/* Remembers results of requests by idempotency key for `ttl` milliseconds,
+ * keeping at most `max` latest keys. Pending results are shared, so a request
+ * repeated while the original is still processed waits for it. Failures are
+ * forgotten, so that failed requests can be retried.
+ */
+class IdempotencyCache {
+  constructor({ max = 1000, ttl = 60000 } = {}) {
+    this._max   = max;
+    this._ttl   = ttl;
+    this._cache = new Map();
+  }
+
+  // Resolves result of `fn` or the remembered one for `key`
+  run(key, fn) {
+    if (isNil(key))
+      return fn();
+
+    this._evictExpired();
+
+    const cached = this._cache.get(key);
+
+    if (!isNil(cached))
+      return cached.result;
+
+    const result = Promise.resolve().then(fn);
+
+    this._cache.set(key, { expires: Date.now() + this._ttl, result });
+
+    if (this._cache.size > this._max)
+      this._cache.delete(this._cache.keys().next().value);
+
+    result.catch(() => {
+      if (this._cache.has(key) && this._cache.get(key).result === result)
+        this._cache.delete(key);
+    });
+
+    return result;
+  }
+
+  get size() {
+    return this._cache.size;
+  }
+
+  // Keys expire in insertion order
+  _evictExpired() {
+    const now = Date.now();
+
+    for (const [key, { expires }] of this._cache) {
+      if (expires > now)
+        break;
+
+      this._cache.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  IdempotencyCache,
+
+  createIdempotencyKey
+};
@@ -1,23 +1,95 @@
 'use strict';
 
+const {
+  DeadLetterQueue
+} = require('./dead-letter');
+
+const {
+  AbortError,
+  CircuitOpenError,
+  ConflictError,
+  ErrorCodes,
+  NotFoundError,
+  ProviderError,
+  StoreError,
+  TimeoutError,
+  ValidationError
+} = require('./errors');
+
+const {
+  createMemoryModel
+} = require('./memory-model');
+
+const {
+  MemoryTransport
+} = require('./memory-transport');
+
+const {
+  MqttAdapter
+} = require('./mqtt-adapter');
+
+const {
+  NatsAdapter,
+  NatsV2Adapter
+} = require('./nats-adapter');
+
 const {
   Provider,
   ProviderEvents
 } = require('./provider');
 
+const {
+  RedisAdapter
+} = require('./redis-adapter');
+
+const {
+  createSqliteModel
+} = require('./sqlite-model');
+
 const {
   Store,
   StoreEvents
 } = require('./store');
 
 const {
-  getSubjects
+  getSubjects,
+  matchSubject
 } = require('./subjects');
 
+const {
+  TransportAdapter
+} = require('./transport');
+
+const {
+  LiveQuery,
+  WatchEvents
+} = require('./watch');
+
 module.exports = {
+  AbortError,
+  CircuitOpenError,
+  ConflictError,
+  createMemoryModel,
+  createSqliteModel,
+  DeadLetterQueue,
+  ErrorCodes,
   getSubjects,
+  LiveQuery,
+  matchSubject,
+  MemoryTransport,
+  MqttAdapter,
+  NatsAdapter,
+  NatsV2Adapter,
+  NotFoundError,
   Provider,
+  ProviderError,
   ProviderEvents,
+  RedisAdapter,
   Store,
-  StoreEvents
+  StoreError,
+  StoreEvents,
+  TimeoutError,
+  TransportAdapter,
+  ValidationError,
+  WatchEvents
 };
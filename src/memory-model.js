@@ -0,0 +1,122 @@
+'use strict';
+
+const {
+  clone,
+  equals,
+  is,
+  isNil,
+  map
+} = require('ramda');
+
+const {
+  ConflictError
+} = require('./errors');
+
+const {
+  idGenerator
+} = require('./object-id');
+
+const {
+  applyUpdate,
+  fromConditions,
+  matches,
+  project,
+  sortBy
+} = require('./query');
+
+/* Builds an in-memory model over a plain array, implementing the model contract
+ * expected by Store. Can be passed as `buildModel` directly.
+ */
+function createMemoryModel(schema, { documents = [] } = {}) {
+  const createId = idGenerator();
+
+  const docs = map(clone, documents);
+
+  function insert(object) {
+    const doc = {
+      _id: createId(),
+
+      ...clone(object)
+    };
+
+    if (docs.some(({ _id }) => equals(_id, doc._id)))
+      throw new ConflictError('Duplicate _id', { _id: doc._id });
+
+    docs.push(doc);
+
+    return doc;
+  }
+
+  return {
+    documents: docs,
+
+    async count(conditions) {
+      return docs.filter(matches(conditions)).length;
+    },
+
+    async create(object, projection) {
+      return is(Array, object)
+        ? object.map(x => project(projection, insert(x)))
+        : project(projection, insert(object));
+    },
+
+    async find(conditions, projection, options = {}) {
+      const { limit, skip = 0, sort } = options || {};
+
+      const found = docs.filter(matches(conditions));
+
+      if (!isNil(sort))
+        found.sort(sortBy(sort));
+
+      return found
+        .slice(skip, isNil(limit) || limit === 0 ? undefined : skip + limit)
+        .map(project(projection));
+    },
+
+    async remove(conditions, projection) {
+      const removed = docs.filter(matches(conditions));
+
+      // NB: `documents` are exposed, so they are removed in place
+      for (const doc of removed)
+        docs.splice(docs.indexOf(doc), 1);
+
+      return removed.map(project(projection));
+    },
+
+    async update(conditions, object, options = {}) {
+      const { multi = false, upsert = false } = options || {};
+
+      let n         = 0;
+      let nModified = 0;
+
+      for (let i = 0; i < docs.length; ++i) {
+        if (!multi && n > 0)
+          break;
+        if (!matches(conditions, docs[i]))
+          continue;
+
+        const updated = applyUpdate(object, docs[i]);
+
+        ++n;
+        if (!equals(updated, docs[i])) {
+          ++nModified;
+          docs[i] = updated;
+        }
+      }
+
+      if (n === 0 && upsert) {
+        const { _id } = insert(applyUpdate(
+          object, fromConditions(conditions), true
+        ));
+
+        return { n: 1, nModified: 0, upserted: [{ index: 0, _id }], ok: 1 };
+      }
+
+      return { n, nModified, ok: 1 };
+    }
+  };
+}
+
+module.exports = {
+  createMemoryModel
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+const {
+  ok: assert
+} = require('assert');
+
+const {
+  is,
+  isNil
+} = require('ramda');
+
+const {
+  matchSubject
+} = require('./subjects');
+
+const {
+  RequestTimeoutError,
+  createInbox
+} = require('./transport');
+
+const isValidSubject = subject => is(String, subject) &&
+  subject.split('.').every((token, idx, tokens) => token !== '' &&
+    (token !== '>' || idx === tokens.length - 1)
+  );
+
+/* In-process transport implementing the subset of node-nats v1 client API used
+ * by Provider and Store. Messages are delivered asynchronously to every
+ * matching subscription, or to a single member of each queue group.
+ */
+class MemoryTransport {
+  constructor() {
+    this._closed = false;
+    this._queues = new Map();
+    this._sid    = 0;
+    this._subs   = new Map();
+  }
+
+  createInbox() {
+    return createInbox();
+  }
+
+  subscribe(subject, options, callback) {
+    if (is(Function, options))
+      return this.subscribe(subject, {}, options);
+
+    assert(!this._closed, 'transport is closed');
+    assert(isValidSubject(subject), `invalid subject: ${subject}`);
+    assert(is(Function, callback), 'callback must be a function');
+
+    const { max, queue } = options || {};
+
+    const sid = ++this._sid;
+
+    this._subs.set(sid, {
+      callback,
+      max,
+      queue,
+      subject,
+
+      received: 0,
+      timer:    null
+    });
+
+    return sid;
+  }
+
+  unsubscribe(sid, max) {
+    const sub = this._subs.get(sid);
+    if (isNil(sub))
+      return;
+
+    if (isNil(max) || sub.received >= max) {
+      clearTimeout(sub.timer);
+      this._subs.delete(sid);
+    }
+    else
+      sub.max = max;
+  }
+
+  publish(subject, msg, replyTo, callback) {
+    if (is(Function, msg))
+      return this.publish(subject, '', undefined, msg);
+    if (is(Function, replyTo))
+      return this.publish(subject, msg, undefined, replyTo);
+
+    assert(!this._closed, 'transport is closed');
+    assert(isValidSubject(subject) && !subject.includes('*') &&
+      !subject.includes('>'), `invalid subject: ${subject}`);
+
+    const sids = this._route(subject);
+    const _msg = isNil(msg) ? '' : msg;
+
+    setImmediate(() => {
+      for (const sid of sids)
+        this._deliver(sid, _msg, replyTo, subject);
+
+      if (is(Function, callback))
+        callback();
+    });
+  }
+
+  request(subject, msg, options, callback) {
+    if (is(Function, msg))
+      return this.request(subject, '', {}, msg);
+    if (is(Function, options))
+      return this.request(subject, msg, {}, options);
+
+    const { max, timeout } = options || {};
+
+    const inbox = this.createInbox();
+    const sid   = this.subscribe(inbox, { max }, callback);
+
+    if (!isNil(timeout))
+      this.timeout(sid, timeout, max || 1, () => callback(
+        new RequestTimeoutError(timeout)
+      ));
+
+    this.publish(subject, msg, inbox);
+
+    return sid;
+  }
+
+  timeout(sid, timeout, expected, callback) {
+    const sub = this._subs.get(sid);
+    if (isNil(sub))
+      return;
+
+    clearTimeout(sub.timer);
+
+    sub.expected = expected;
+    sub.timer    = setTimeout(() => {
+      this.unsubscribe(sid);
+      callback(sid);
+    }, timeout);
+  }
+
+  flush(callback) {
+    if (is(Function, callback))
+      setImmediate(callback);
+  }
+
+  close() {
+    for (const sid of this._subs.keys())
+      this.unsubscribe(sid);
+
+    this._closed = true;
+  }
+
+  _route(subject) {
+    const sids   = [];
+    const groups = new Map();
+
+    for (const [sid, { queue, subject: pattern }] of this._subs) {
+      if (!matchSubject(pattern, subject))
+        continue;
+
+      if (isNil(queue))
+        sids.push(sid);
+      else if (groups.has(queue))
+        groups.get(queue).push(sid);
+      else
+        groups.set(queue, [sid]);
+    }
+
+    // Round-robin between members of each queue group
+    for (const [queue, members] of groups) {
+      const counter = this._queues.get(queue) || 0;
+      this._queues.set(queue, counter + 1);
+
+      sids.push(members[counter % members.length]);
+    }
+
+    return sids;
+  }
+
+  _deliver(sid, msg, replyTo, subject) {
+    const sub = this._subs.get(sid);
+    if (isNil(sub))
+      return;
+
+    ++sub.received;
+
+    if (!isNil(sub.max) && sub.received >= sub.max)
+      this.unsubscribe(sid);
+    else if (!isNil(sub.expected) && sub.received >= sub.expected)
+      clearTimeout(sub.timer);
+
+    sub.callback(msg, replyTo, subject, sid);
+  }
+}
+
+module.exports = {
+  MemoryTransport
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+// Metadata paths used to mark entities deleted and updated, and to version them
+const DELETED = 'metadata.deleted';
+const UPDATED = 'metadata.updated';
+const VERSION = 'metadata.version';
+
+module.exports = {
+  DELETED,
+  UPDATED,
+  VERSION
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+const {
+  ok: assert
+} = require('assert');
+
+const {
+  isNil
+} = require('ramda');
+
+const {
+  Subscriptions,
+  TransportAdapter,
+
+  callbackToPromise,
+  encodeEnvelope
+} = require('./transport');
+
+const WILDCARDS = {
+  '*': '+',
+  '>': '#'
+};
+
+const toTopic = subject => subject
+  .split('.')
+  .map(token => WILDCARDS[token] || token)
+  .join('/');
+
+// MQTT `#` also matches the parent level and brokers may deliver a message once
+// per matching filter, so `x` and `x.>` share the `x/#` filter and are narrowed
+// down by matching subjects locally
+const toFilter = subject => subject === '>' || subject.endsWith('.>')
+  ? toTopic(subject)
+  : `${toTopic(subject)}/#`;
+
+const fromTopic = topic => topic.split('/').join('.');
+
+/* Adapter for MQTT.js client API. Subjects are mapped to topics by replacing
+ * `.` with `/`, `*` with `+` and `>` with `#`, and subscribed to with a
+ * trailing `#`. Request/reply is emulated with reply-to topics carried in a
+ * message envelope.
+ */
+class MqttAdapter extends TransportAdapter {
+  constructor(client, { qos = 0 } = {}) {
+    super();
+
+    assert(client != null, 'client must be set');
+    assert(typeof client.on === 'function', 'client must be an event emitter');
+
+    this._client = client;
+    this._qos    = qos;
+    this._ready  = new Map();
+    this._subs   = new Subscriptions();
+
+    this._onMessage = (topic, payload) => this._subs.dispatch(
+      null, fromTopic(topic), payload.toString()
+    );
+
+    client.on('message', this._onMessage);
+  }
+
+  publish(subject, msg, replyTo) {
+    return callbackToPromise(cb => this._client.publish(
+      toTopic(subject), encodeEnvelope(msg, replyTo), { qos: this._qos }, cb
+    ));
+  }
+
+  subscribe(subject, callback) {
+    const filter = toFilter(subject);
+
+    const { handle, isNew } = this._subs.add(subject, filter, callback);
+
+    if (isNew)
+      this._ready.set(filter, callbackToPromise(cb => this._client.subscribe(
+        filter, { qos: this._qos }, cb
+      )));
+
+    return handle;
+  }
+
+  unsubscribe(handle) {
+    const filter = this._subs.remove(handle);
+    if (isNil(filter))
+      return;
+
+    this._ready.delete(filter);
+    this._client.unsubscribe(filter);
+  }
+
+  ready(handle) {
+    const sub = this._subs.get(handle);
+
+    return isNil(sub) ? Promise.resolve() : this._ready.get(sub.key);
+  }
+
+  close() {
+    this._client.removeListener('message', this._onMessage);
+
+    return new Promise(resolve => this._client.end(false, resolve));
+  }
+}
+
+module.exports = {
+  MqttAdapter
+};
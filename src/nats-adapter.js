@@ -0,0 +1,172 @@
+'use strict';
+
+const {
+  ok: assert
+} = require('assert');
+
+const {
+  TextDecoder,
+  TextEncoder
+} = require('util');
+
+const {
+  is,
+  isNil
+} = require('ramda');
+
+const {
+  isAborted,
+  onAbort
+} = require('./abort');
+
+const {
+  AbortError
+} = require('./errors');
+
+const {
+  RequestTimeoutError,
+  TransportAdapter
+} = require('./transport');
+
+const decoder = new TextDecoder();
+const encoder = new TextEncoder();
+
+// Adapter for node-nats v1 client API, which is also implemented by
+// MemoryTransport
+class NatsAdapter extends TransportAdapter {
+  constructor(client) {
+    super();
+
+    assert(client != null, 'client must be set');
+    assert(is(Function, client.subscribe), 'client must have subscribe');
+    assert(is(Function, client.unsubscribe), 'client must have unsubscribe');
+
+    this._client = client;
+  }
+
+  request(subject, msg, { signal, timeout } = {}) {
+    return new Promise((resolve, reject) => {
+      if (isAborted(signal))
+        return reject(new AbortError());
+
+      let sid   = null;
+      let timer = null;
+
+      // Stops waiting for a reply
+      const cancel = () => {
+        clearTimeout(timer);
+        removeAbortListener();
+
+        if (!isNil(sid))
+          this._client.unsubscribe(sid);
+      };
+
+      if (!isNil(timeout))
+        timer = setTimeout(() => {
+          cancel();
+          reject(new RequestTimeoutError(timeout));
+        }, timeout);
+
+      const removeAbortListener = onAbort(signal, () => {
+        cancel();
+        reject(new AbortError());
+      });
+
+      sid = this._client.request(subject, msg, { max: 1 }, reply => {
+        clearTimeout(timer);
+        removeAbortListener();
+
+        // node-nats v1 passes errors instead of replies
+        if (is(Error, reply))
+          reject(reply);
+        else
+          resolve(reply);
+      });
+    });
+  }
+
+  publish(subject, msg, replyTo) {
+    if (isNil(replyTo))
+      this._client.publish(subject, msg);
+    else
+      this._client.publish(subject, msg, replyTo);
+
+    return Promise.resolve();
+  }
+
+  subscribe(subject, callback) {
+    return this._client.subscribe(subject, callback);
+  }
+
+  unsubscribe(sid) {
+    this._client.unsubscribe(sid);
+  }
+
+  close() {
+    this._client.close();
+
+    return Promise.resolve();
+  }
+}
+
+// Adapter for nats.js v2 connection API
+class NatsV2Adapter extends TransportAdapter {
+  constructor(connection) {
+    super();
+
+    assert(connection != null, 'connection must be set');
+
+    this._connection = connection;
+  }
+
+  // NB: nats.js v2 requests cannot be cancelled, so `signal` is ignored and
+  // requests are left to their timeout
+  request(subject, msg, { timeout } = {}) {
+    return this._connection.request(
+      subject,
+      encoder.encode(msg),
+      isNil(timeout) ? {} : { timeout }
+    ).then(reply => decoder.decode(reply.data));
+  }
+
+  publish(subject, msg, replyTo) {
+    this._connection.publish(
+      subject,
+      encoder.encode(msg),
+      isNil(replyTo) ? undefined : { reply: replyTo }
+    );
+
+    return Promise.resolve();
+  }
+
+  subscribe(subject, callback) {
+    return this._connection.subscribe(subject, {
+      // NB: Subscription errors are reported through connection status
+      callback: (err, msg) => isNil(err) && callback(
+        decoder.decode(msg.data), msg.reply || undefined, msg.subject
+      )
+    });
+  }
+
+  unsubscribe(subscription) {
+    subscription.unsubscribe();
+  }
+
+  close() {
+    return this._connection.close();
+  }
+}
+
+// Duck-typed transports are expected to implement node-nats v1 client API
+function toTransportAdapter(transport) {
+  return transport instanceof TransportAdapter
+    ? transport
+    : new NatsAdapter(transport);
+}
+
+module.exports = {
+  NatsAdapter,
+  NatsV2Adapter,
+
+  toTransportAdapter
+};
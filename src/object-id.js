@@ -0,0 +1,28 @@
+'use strict';
+
+const {
+  randomBytes
+} = require('crypto');
+
+/* Returns a generator of ObjectId-like IDs, i.e. 4 bytes of a timestamp,
+ * 5 random bytes and a 3-byte counter, so that IDs sort in creation order.
+ */
+function idGenerator() {
+  const random = randomBytes(5).toString('hex');
+
+  let counter = randomBytes(3).readUIntBE(0, 3);
+
+  return () => {
+    counter = (counter + 1) % 0x1000000;
+
+    return [
+      Math.floor(Date.now() / 1000).toString(16).padStart(8, '0'),
+      random,
+      counter.toString(16).padStart(6, '0')
+    ].join('');
+  };
+}
+
+module.exports = {
+  idGenerator
+};
@@ -5,11 +5,8 @@ const {
 } = require('assert');
 
 const {
-  __,
   always,
   complement,
-  constructN,
-  curry,
   curryN,
   equals,
   head,
@@ -36,65 +33,201 @@ const {
   assertSchema
 } = require('./assert');
 
+const {
+  toTransportAdapter
+} = require('./nats-adapter');
+
+const {
+  isAborted,
+  onAbort
+} = require('./abort');
+
+const {
+  AbortError,
+  fromReply,
+  ProviderError,
+  TimeoutError
+} = require('./errors');
+
 const {
   reject
 } = require('./reject');
 
+const {
+  withRetry
+} = require('./retry');
+
+const {
+  batchStream
+} = require('./batch-stream');
+
+const {
+  CircuitBreaker
+} = require('./circuit-breaker');
+
+const {
+  ChangeIterator
+} = require('./changes');
+
+const {
+  createIdempotencyKey
+} = require('./idempotency');
+
+const {
+  DELETED,
+  UPDATED
+} = require('./metadata');
+
+const {
+  matches,
+  project
+} = require('./query');
+
+const {
+  getFields
+} = require('./schema');
+
 const {
   getSubjects: _getSubjects
 } = require('./subjects');
 
-const DELETED = 'metadata.deleted';
-const UPDATED = 'metadata.updated';
+const {
+  applyDefaults,
+  assertValid,
+  validateCreate,
+  validateUpdate
+} = require('./validation');
+
+const {
+  LiveQuery
+} = require('./watch');
+
+const isDeleted = {
+  [DELETED]: {
+    $exists: true,
+    $ne:     null
+  }
+};
+
+// `_id` lets Store re-fetch created entities to notify about them
+const streamProjection = { _id: 1 };
 
 const ProviderEvents = {
-  Create:      'create',
-  StreamError: 'stream-error',
-  Update:      'update'
+  CircuitClose: 'circuit-close',
+  CircuitOpen:  'circuit-open',
+  Create:       'create',
+  Created:      'created',
+  Delete:       'delete',
+  StreamError:  'stream-error',
+  Update:       'update'
 };
 
-function isCreateOrUpdate(eventName) {
-  return eventName === ProviderEvents.Create ||
-         eventName === ProviderEvents.Update;
+// Entity events are received through transport subscriptions
+const entityEvents = [
+  ProviderEvents.Create,
+  ProviderEvents.Delete,
+  ProviderEvents.Update
+];
+
+function isEntityEvent(eventName) {
+  return entityEvents.includes(eventName);
 }
 
 const isNotNil = complement(isNil);
 
-class ProviderError extends Error {
-  constructor(message, query) {
-    super(message);
-    this.query = query;
-  }
+// Store replies either `{ error }` or `{ result }` with the created entity for
+// each item
+const isItemOutcome = outcome => is(Object, outcome) &&
+  (isNotNil(outcome.error) || is(Object, outcome.result));
+
+// Replies not matching items one to one, e.g. of Stores not supporting item
+// results, reject as outcomes could not be told apart
+function assertItemResults(items, outcomes) {
+  if (is(Array, outcomes) && outcomes.length === items.length &&
+    outcomes.every(isItemOutcome))
+    return outcomes;
+
+  throw new ProviderError('unexpected item results', {
+    object:     items.map(prop('object')),
+    projection: streamProjection
+  });
 }
 
-const exec = curry((request, { noAckStream, timeout }, query) => new Promise(
-  (resolve, reject) => pipe(
-    JSON.stringify,
-    ifElse(always(noAckStream),
-      pipe(unary(request), resolve),
-      curryN(2, request)(__, pipe(
-        // reject query on timeout
-        // NB: timeout is set in Promise context only when noAckStream
-        //     is false and is cancelled in request callback
-        tap(partial(clearTimeout, [ setTimeout(
-          partial(reject, [
-            new ProviderError(`query timeout after ${timeout}ms`, query)
-          ]),
-          timeout
-        )
-        ])),
-        JSON.parse,
-
-        // if error is not set -> resolve
-        // else                -> reject
-        ifElse(pipe(prop('error'), isNil),
-          pipe(prop('result'), resolve),
-          pipe(path(['error', 'message']), constructN(1, Error), reject)
+// Responses that are not JSON reject, as nothing else would settle the request
+const parseResponse = query => tryCatch(
+  unary(JSON.parse),
+  err => new ProviderError(`invalid response: ${err.message}`, query)
+);
+
+// Resolves a result or rejects an error, either passed by transport instead of
+// a response, replied by Store or of a response that is not JSON
+const processResponse = (resolve, reject, query) => ifElse(is(Error),
+  reject,
+  pipe(
+    parseResponse(query),
+
+    // if parsing failed   -> reject
+    // if error is not set -> resolve
+    // else                -> reject
+    ifElse(is(Error),
+      reject,
+      ifElse(pipe(prop('error'), isNil),
+        pipe(prop('result'), resolve),
+        pipe(
+          prop('error'),
+          error => fromReply(error, query),
+          reject
         )
-      ))
+      )
     )
-  )(query)
-));
+  )
+);
+
+// Adds the `timeout` in milliseconds that Provider waits for a response, so
+// that Store skips the request once it is past. It is relative, so that clocks
+// need not be in sync.
+const withDeadline = (timeout, query) => ({
+  ...query,
+
+  timeout
+});
+
+// NB: `signal` is an optional argument past curried arity
+const exec = curryN(3, (request, options, query, signal) =>
+  new Promise((resolve, reject) => {
+    const { noAckStream, propagateDeadline, timeout } = options;
+
+    if (isAborted(signal))
+      return reject(new AbortError(query));
+
+    if (noAckStream)
+      return resolve(request(JSON.stringify(query)));
+
+    const msg = JSON.stringify(
+      propagateDeadline ? withDeadline(timeout, query) : query
+    );
+
+    // reject query on timeout or abort, a late response is then ignored
+    // NB: both are cancelled in request callback
+    const timer = setTimeout(() => {
+      removeAbortListener();
+      reject(new TimeoutError(timeout, query));
+    }, timeout);
+
+    const removeAbortListener = onAbort(signal, () => {
+      clearTimeout(timer);
+      reject(new AbortError(query));
+    });
+
+    request(msg, pipe(
+      tap(() => {
+        clearTimeout(timer);
+        removeAbortListener();
+      }),
+      processResponse(resolve, reject, query)
+    ), signal);
+  })
+);
 
 async function batchExec(exec, batchSize, options) {
   const limit  = options.limit || batchSize;
@@ -126,6 +259,50 @@ const processEvent = emit => pipe(
   )
 );
 
+// Calls `listener` only with entities matching `conditions`, projected
+function filterEvent({ conditions = {}, projection } = {}, listener) {
+  // Throws early on operators the local matcher does not support
+  matches(conditions, {});
+
+  return (err, msg) => {
+    if (isNotNil(err))
+      return listener(err, msg);
+
+    const object   = path(['object'], msg);
+    const entities = (is(Array, object) ? object : [object])
+      .filter(entity => is(Object, entity) && matches(conditions, entity))
+      .map(project(projection));
+
+    if (entities.length === 0)
+      return;
+
+    return listener(null, {
+      ...msg,
+
+      object: is(Array, object) ? entities : entities[0]
+    });
+  };
+}
+
+// Models report counts either Mongo driver 3.x or 4.x style
+function toUpdateCounts(result) {
+  const { matchedCount, modifiedCount, n, nModified } = result || {};
+
+  return {
+    matched:  isNil(n) ? matchedCount : n,
+    modified: isNil(nModified) ? modifiedCount : nModified
+  };
+}
+
+// Models report upserted IDs either Mongo driver 3.x or 4.x style
+function getUpsertedId(result) {
+  const { upserted, upsertedId } = result || {};
+
+  return isNil(upsertedId)
+    ? path([0, '_id'], upserted || [])
+    : upsertedId;
+}
+
 const returnOneOnly = ifElse(pipe(prop('length'), equals(1)),
   head,
   always(null)
@@ -139,10 +316,16 @@ class Provider extends Duplex {
     getSubjects = _getSubjects,
 
     options: {
-      batchSize     = 5000,
-      highWaterMark = undefined,
-      noAckStream   = false,
-      timeout       = 1000
+      batchSize         = 5000,
+      circuitBreaker    = undefined,
+      committedEvents   = false,
+      highWaterMark     = undefined,
+      itemResults       = undefined,
+      noAckStream       = false,
+      propagateDeadline = true,
+      retry             = undefined,
+      timeout           = 1000,
+      validate          = false
     } = {}
   }) {
     super({
@@ -152,6 +335,8 @@ class Provider extends Duplex {
 
     assertSchema(schema);
     assert(transport != null, 'transport must be set');
+    assert(!noAckStream || isNil(itemResults),
+      'itemResults cannot be used with noAckStream');
 
     this._readableStreamInitialized = false;
 
@@ -160,53 +345,120 @@ class Provider extends Duplex {
 
     this._batchSize = batchSize;
 
-    this._subscribe   = transport.subscribe.bind(transport);
-    this._unsubscribe = transport.unsubscribe.bind(transport);
+    const adapter = toTransportAdapter(transport);
+
+    this._subscribe   = adapter.subscribe.bind(adapter);
+    this._unsubscribe = adapter.unsubscribe.bind(adapter);
 
     this._subjects = getSubjects(schema.name);
 
-    function request(subject, msg, callback) {
-      transport.request(subject, msg, { max: 1 }, callback);
+    // Events come from changes committed by Store or, when opted out or not
+    // supported by custom subjects, from raw requests
+    const eventSubjects = (committed, raw) =>
+      committedEvents && isNotNil(this._subjects[committed])
+        ? this._subjects[committed]
+        : this._subjects[raw] || [];
+
+    this._eventSubjects = {
+      create: eventSubjects('created', 'create'),
+      delete: eventSubjects('deleted', 'delete'),
+      update: eventSubjects('updated', 'update')
+    };
+
+    // Deletes are only published by Provider when listeners do not receive
+    // them from Store
+    this._publishesDelete = isNotNil(this._subjects.delete) &&
+      this._eventSubjects.delete === this._subjects.delete;
+
+    this._publish = adapter.publish.bind(adapter);
+
+    // Aborting a request also stops the adapter waiting for a reply
+    function request(subject, _timeout, msg, callback, signal) {
+      adapter.request(subject, msg, { signal, timeout: _timeout })
+        .then(callback, callback);
     }
 
-    this._count = exec(
-      partial(request, [this._subjects.count[0]]), { timeout }
-    );
+    this._circuitBreaker = isNil(circuitBreaker)
+      ? null
+      : new CircuitBreaker(circuitBreaker, {
+        onClose: () => this.emit(ProviderEvents.CircuitClose),
+        onOpen:  failures => this.emit(ProviderEvents.CircuitOpen, failures)
+      });
+
+    // Requests fail fast while the circuit is open
+    const guard = fn => {
+      if (isNil(this._circuitBreaker))
+        return fn;
+
+      return (query, signal) =>
+        this._circuitBreaker.exec(() => fn(query, signal), query);
+    };
 
-    this._create = exec(
-      partial(request, [this._subjects.create[0]]), { timeout }
+    // Returns exec of requests to `subject` that time out after `_timeout`
+    const execFor = subject => _timeout => guard(exec(
+      partial(request, [subject, _timeout]),
+      { propagateDeadline, timeout: _timeout }
+    ));
+
+    // Only queries are retried as they are safe to repeat
+    this._count = withRetry(execFor(this._subjects.count[0]), timeout, retry);
+
+    this._create = execFor(this._subjects.create[0])(timeout);
+    // Requests with idempotency keys are safe to repeat, so they are retried
+    this._createIdempotent = withRetry(
+      execFor(this._subjects.create[0]), timeout, retry
     );
 
     // Allows piping to provider without acknowledgement, i.e. fire and forget
     const streamCreate = noAckStream
       ? exec(
-        transport.publish.bind(transport, this._subjects.create[0]),
+        adapter.publish.bind(adapter, this._subjects.create[0]),
         { noAckStream, timeout }
       )
-      : this._create;
+      : this._createIdempotent;
+
+    // Store replies an outcome per written chunk instead of one per batch
+    const { deadLetter = null, ordered = true } = itemResults || {};
+
+    this._itemResults = isNotNil(itemResults);
+    this._deadLetter  = deadLetter;
+    // Number of chunks written so far, i.e. index of the next one
+    this._written     = 0;
 
-    const projection = { id: 1 };
+    const options = this._itemResults
+      ? { itemResults: true, ordered }
+      : undefined;
+
+    // Batches get generated idempotency keys, so that retries do not create
+    // duplicates
     this._streamCreate = object => streamCreate({
+      idempotencyKey: noAckStream ? undefined : createIdempotencyKey(),
       object,
-      projection
+      options,
+
+      projection: streamProjection
     });
 
-    this._find = exec(
-      partial(request, [this._subjects.find[0]]), { timeout }
-    );
+    this._find = withRetry(execFor(this._subjects.find[0]), timeout, retry);
 
-    this._update = exec(
-      partial(request, [this._subjects.update[0]]), { timeout }
+    this._update = execFor(this._subjects.update[0])(timeout);
+    this._updateIdempotent = withRetry(
+      execFor(this._subjects.update[0]), timeout, retry
     );
 
-    this._listeners = {
-      create: new Map(),
-      update: new Map()
-    };
+    // Custom subjects might not have `remove`
+    this._remove = isNil(this._subjects.remove)
+      ? () => reject `${schema.name} subjects do not support remove`
+      : execFor(this._subjects.remove[0])(timeout);
 
-    const fields = schema.fields instanceof Function
-      ? schema.fields({ Mixed: {}, ObjectId: {} })
-      : schema.fields;
+    // Transport subscription IDs by entity event, shared by all its listeners
+    this._subscriptions = new Map();
+
+    const fields = getFields(schema);
+
+    // Objects are checked against schema fields before they are sent
+    this._fields   = fields;
+    this._validate = validate;
 
     this._hasMetadata = isNotNil(fields.metadata) &&
             isNotNil(fields.metadata.deleted);
@@ -225,13 +477,22 @@ class Provider extends Duplex {
     this._mergeConditions = merge(this._defaultConditions);
   }
 
-  count(conditions) {
+  // Returns an async iterator over entity events
+  changes({ events = [ProviderEvents.Create, ProviderEvents.Update] } = {}) {
+    assert(is(Array, events) && events.length > 0, 'events must be set');
+    assert(events.every(isEntityEvent),
+      'events must be create, delete or update');
+
+    return new ChangeIterator(this, events);
+  }
+
+  count(conditions, { signal } = {}) {
     if (isNil(conditions))
       return reject `conditions must be set`;
 
     return this._count({
       conditions: this._mergeConditions(conditions)
-    });
+    }, signal);
   }
 
   countAll() {
@@ -240,77 +501,64 @@ class Provider extends Duplex {
     });
   }
 
-  create(object, projection) {
+  create(object, projection, { idempotencyKey, signal } = {}) {
     if (isNil(object))
       return reject `object must be set`;
     if (isNil(projection))
       return reject `projection must be set`;
 
-    return this._create({
-      object,
-      projection
-    });
-  }
+    const _object = tryCatch(o => this._prepareCreated(o), identity)(object);
+    if (is(Error, _object))
+      return Promise.reject(_object);
 
-  delete(conditions, projection) {
-    if (!this._hasMetadata)
-      return reject `${this._schema.name} cannot be marked as deleted`;
-    if (isNil(conditions))
-      return reject `conditions must be set`;
-    if (isNil(projection))
-      return reject `projection must be set`;
+    const create = isNil(idempotencyKey)
+      ? this._create
+      : this._createIdempotent;
 
-    return this._update({
-      conditions: this._mergeConditions(conditions),
-      object: {
-        $currentDate: {
-          [DELETED]: true,
-          [UPDATED]: true
-        }
-      },
-      projection
-    }).then(() => batchExec(_options => this._find({
-      conditions: {
-        ...conditions,
+    return create({
+      idempotencyKey,
 
-        [DELETED]: {
-          $exists: true,
-          $ne:     null
-        }
-      },
+      object: _object,
+      projection
+    }, signal);
+  }
 
-      options: _options,
+  delete(conditions, projection, options = {}) {
+    // Entities that cannot be marked as deleted are removed
+    const deleted = this._hasMetadata
+      ? this._markDeleted(conditions, projection, options)
+      : this.remove(conditions, projection, options);
 
-      projection
-    }), this._batchSize, {}));
+    return deleted.then(tap(entities => this._publishDelete(entities)));
   }
 
-  deleteById(id, projection) {
+  deleteById(id, projection, options = {}) {
     if (isNil(id))
       return reject `id must be set`;
 
-    return this.delete({ _id: id }, projection).then(returnOneOnly);
+    return this.delete({ _id: id }, projection, options).then(returnOneOnly);
   }
 
-  find(conditions, projection, options = {}) {
+  find(conditions, projection, { signal, ...options } = {}) {
     if (isNil(conditions))
       return reject `conditions must be set`;
     if (isNil(projection))
       return reject `projection must be set`;
 
+    // NB: Aborted signal rejects the next batch without requesting it
     return batchExec(_options => this._find({
       conditions: this._mergeConditions(conditions),
       options:    _options,
 
       projection
-    }), this._batchSize, options);
+    }, signal), this._batchSize, options);
   }
 
   findAll(projection, options = {}) {
     return this.find({}, projection, options);
   }
 
-  findById(id, projection) {
+  findById(id, projection, { signal } = {}) {
     if (isNil(id))
       return reject `id must be set`;
     if (isNil(projection))
@@ -324,32 +572,192 @@ class Provider extends Duplex {
       options: {
         limit: 1
       }
-    }).then(returnOneOnly);
+    }, signal).then(returnOneOnly);
+  }
+
+  findDeleted(conditions, projection, { signal, ...options } = {}) {
+    if (!this._hasMetadata)
+      return reject `${this._schema.name} cannot be marked as deleted`;
+    if (isNil(conditions))
+      return reject `conditions must be set`;
+    if (isNil(projection))
+      return reject `projection must be set`;
+
+    return batchExec(_options => this._find({
+      conditions: {
+        ...conditions,
+        ...isDeleted
+      },
+
+      options: _options,
+
+      projection
+    }, signal), this._batchSize, options);
+  }
+
+  // Returns a Readable of found entities that fetches batches on demand
+  findStream(conditions, projection, options = {}) {
+    if (isNil(conditions))
+      throw new Error('conditions must be set');
+    if (isNil(projection))
+      throw new Error('projection must be set');
+
+    return batchStream(this._find, this._batchSize, {
+      conditions: this._mergeConditions(conditions),
+      options,
+
+      projection
+    });
+  }
+
+  // Returns an async iterator over found entities
+  iterate(conditions, projection, options = {}) {
+    return this.findStream(conditions, projection, options)[
+      Symbol.asyncIterator
+    ]();
+  }
+
+  // Permanently removes entities marked as deleted before `olderThan`
+  purgeDeleted({ olderThan } = {}, projection = { _id: 1 }) {
+    if (!this._hasMetadata)
+      return reject `${this._schema.name} cannot be marked as deleted`;
+
+    const conditions = isNil(olderThan)
+      ? isDeleted
+      : { [DELETED]: { ...isDeleted[DELETED], $lt: new Date(olderThan) } };
+
+    return this._remove({
+      conditions,
+      projection
+    });
   }
 
-  updateById(id, object, projection) {
+  remove(conditions, projection, { signal } = {}) {
+    if (isNil(conditions))
+      return reject `conditions must be set`;
+    if (isNil(projection))
+      return reject `projection must be set`;
+
+    return this._remove({
+      conditions: this._mergeConditions(conditions),
+
+      projection
+    }, signal);
+  }
+
+  removeById(id, projection) {
+    if (isNil(id))
+      return reject `id must be set`;
+
+    return this.remove({ _id: id }, projection).then(returnOneOnly);
+  }
+
+  // Unmarks entities marked as deleted
+  restore(conditions, projection) {
+    if (isNil(projection))
+      return reject `projection must be set`;
+
+    // NB: Restored entities cannot be told apart afterwards, so IDs are
+    //     collected first
+    return this.findDeleted(conditions, { _id: 1 }, {
+      limit: Infinity
+    }).then(deleted => {
+      if (deleted.length === 0)
+        return [];
+
+      const ids = { _id: { $in: deleted.map(prop('_id')) } };
+
+      return this._update({
+        conditions: ids,
+        object:     {
+          $unset: {
+            [DELETED]: true
+          },
+          $currentDate: {
+            [UPDATED]: true
+          }
+        },
+        projection
+      }).then(() => batchExec(_options => this._find({
+        conditions: this._mergeConditions(ids),
+        options:    _options,
+
+        projection
+      }), this._batchSize, { limit: deleted.length }));
+    });
+  }
+
+  restoreById(id, projection) {
     if (isNil(id))
       return reject `id must be set`;
+
+    return this.restore({ _id: id }, projection).then(returnOneOnly);
+  }
+
+  update(conditions, object, projection, options = {}) {
+    if (isNil(conditions))
+      return reject `conditions must be set`;
     if (isNil(object))
       return reject `object must be set`;
     if (isNil(projection))
       return reject `projection must be set`;
 
-    const _object = !this._hasMetadata
-      ? object
-      : {
-        ...object,
+    // Unlike `find`, all matching entities are updated
+    const limit = options.multi === false ? 1 : Infinity;
 
-        $currentDate: {
-          [UPDATED]: true
-        }
-      };
+    // NB: Updated entities might not match `conditions` afterwards, so IDs are
+    //     collected first
+    return this.find(conditions, { _id: 1 }, { limit }).then(found => {
+      if (found.length === 0)
+        return { entities: [], matched: 0, modified: 0 };
+
+      const ids = { _id: { $in: found.map(prop('_id')) } };
 
-    return this._update({
+      return this._update({
+        conditions: this._mergeConditions(ids),
+        object:     this._stampUpdated(object),
+        options,
+        projection
+      }).then(result => batchExec(_options => this._find({
+        conditions: ids,
+        options:    _options,
+
+        projection
+      }), this._batchSize, { limit: found.length }).then(entities => ({
+        entities,
+
+        ...toUpdateCounts(result)
+      })));
+    });
+  }
+
+  updateById(id, object, projection, {
+    expectedVersion,
+    idempotencyKey,
+    signal
+  } = {}) {
+    if (isNil(id))
+      return reject `id must be set`;
+    if (isNil(object))
+      return reject `object must be set`;
+    if (isNil(projection))
+      return reject `projection must be set`;
+
+    const invalid = tryCatch(o => this._validateUpdated(o), identity)(object);
+    if (is(Error, invalid))
+      return Promise.reject(invalid);
+
+    const update = isNil(idempotencyKey)
+      ? this._update
+      : this._updateIdempotent;
+
+    return update({
       conditions: this._mergeConditions({ _id: id }),
-      object:     _object,
+      expectedVersion,
+      idempotencyKey,
+      object:     this._stampUpdated(object),
       projection
-    }).then(() => this._find({
+    }, signal).then(() => this._find({
       conditions: { _id: id },
 
       projection,
@@ -357,83 +765,229 @@ class Provider extends Duplex {
       options: {
         limit: 1
       }
-    })).then(returnOneOnly);
+    }, signal)).then(returnOneOnly);
   }
 
-  _addListener(eventName, listener, sids) {
-    this._listeners[eventName].set(listener, sids);
+  // Updates the first matching entity or creates one when none match
+  upsert(conditions, object, projection) {
+    if (isNil(conditions))
+      return reject `conditions must be set`;
+    if (isNil(object))
+      return reject `object must be set`;
+    if (isNil(projection))
+      return reject `projection must be set`;
+
+    const update = (_conditions, upsert) => this._update({
+      conditions: this._mergeConditions(_conditions),
+      object:     this._stampUpdated(object),
+      options:    {
+        multi: false,
+        upsert
+      },
+      projection
+    });
+
+    const findOne = _conditions => this._find({
+      conditions: _conditions,
+
+      projection,
+
+      options: {
+        limit: 1
+      }
+    }).then(returnOneOnly);
+
+    // NB: The updated entity might not match `conditions` afterwards, so its
+    //     ID is collected first
+    return this.find(conditions, { _id: 1 }, { limit: 1 }).then(([found]) => {
+      if (isNotNil(found))
+        return update({ _id: found._id }, false)
+          .then(() => findOne({ _id: found._id }))
+          .then(entity => ({ entity, inserted: false }));
+
+      return update(conditions, true).then(result => {
+        const upsertedId = getUpsertedId(result);
+        const inserted   = isNotNil(upsertedId);
+
+        // An entity created meanwhile is updated instead
+        return findOne(inserted
+          ? { _id: upsertedId }
+          : this._mergeConditions(conditions)
+        ).then(entity => ({ entity, inserted }));
+      });
+    });
   }
 
-  _removeAllListeners(eventName) {
-    const sids = [];
+  // Returns a live query over entities matching `conditions`
+  watch(conditions, projection) {
+    if (isNil(conditions))
+      throw new Error('conditions must be set');
+    if (isNil(projection))
+      throw new Error('projection must be set');
 
-    if (eventName == null) {
-      sids.push(
-        ...this._removeAllListeners(ProviderEvents.Create),
-        ...this._removeAllListeners(ProviderEvents.Update)
-      );
-    }
-    else {
-      for (const x of this._listeners[eventName].values())
-        sids.push(...x);
-      this._listeners[eventName] = new Map();
-    }
+    return new LiveQuery(this, conditions, projection);
+  }
+
+  _markDeleted(conditions, projection, { signal }) {
+    if (isNil(conditions))
+      return reject `conditions must be set`;
+    if (isNil(projection))
+      return reject `projection must be set`;
+
+    // NB: Entities marked as deleted cannot be told apart from ones deleted
+    //     before, so IDs are collected first
+    return this.find(conditions, { _id: 1 }, {
+      limit: Infinity,
+      signal
+    }).then(found => {
+      if (found.length === 0)
+        return [];
+
+      const ids = { _id: { $in: found.map(prop('_id')) } };
+
+      return this._update({
+        conditions: this._mergeConditions(ids),
+        object: {
+          $currentDate: {
+            [DELETED]: true,
+            [UPDATED]: true
+          }
+        },
+        projection
+      }, signal).then(() => this.findDeleted(ids, projection, {
+        limit: found.length,
+        signal
+      }));
+    });
+  }
+
+  // Notifies raw `delete` listeners, publishing is fire and forget
+  _publishDelete(entities) {
+    if (!this._publishesDelete || entities.length === 0)
+      return;
+
+    const object = entities.length === 1 ? entities[0] : entities;
 
-    return sids;
+    Promise.resolve()
+      .then(() => this._publish(
+        this._subjects.delete[0], JSON.stringify({ object })
+      ))
+      .catch(identity);
   }
 
-  _removeListener(eventName, listener) {
-    const sids = this._listeners[eventName].get(listener);
-    this._listeners[eventName].delete(listener);
-    return sids;
+  _stampUpdated(object) {
+    if (!this._hasMetadata)
+      return object;
+
+    return {
+      ...object,
+
+      $currentDate: {
+        ...object.$currentDate,
+
+        [UPDATED]: true
+      }
+    };
   }
 
-  on(eventName, listener) {
-    if (isCreateOrUpdate(eventName)) {
-      const sids = this._subjects[eventName].map(sub => this._subscribe(
-        sub, processEvent(this.emit.bind(this, eventName))
-      ));
+  // `listener` property lets EventEmitter remove wrapped listeners
+  _filterListener(listener, filter, deliver) {
+    if (isNil(filter))
+      return listener;
 
-      this._addListener(eventName, listener, sids);
+    const wrapped = filterEvent(filter, deliver);
+    wrapped.listener = listener;
+
+    return wrapped;
+  }
+
+  /* Subscribes to subjects of `eventName` while it has listeners and
+   * unsubscribes once the last one is removed, so that every event is emitted
+   * once no matter the number of listeners.
+   */
+  _updateSubscription(eventName) {
+    const sids       = this._subscriptions.get(eventName);
+    const subscribed = isNotNil(sids);
+
+    if (!subscribed && this.listenerCount(eventName) > 0)
+      this._subscriptions.set(eventName, this._eventSubjects[eventName].map(
+        sub => this._subscribe(
+          sub, processEvent(this.emit.bind(this, eventName))
+        )
+      ));
+    else if (subscribed && this.listenerCount(eventName) === 0) {
+      this._subscriptions.delete(eventName);
+      sids.map(this._unsubscribe);
     }
+  }
 
-    super.on(eventName, listener);
+  on(eventName, listener, filter) {
+    if (!isEntityEvent(eventName))
+      return super.on(eventName, listener);
+
+    super.on(eventName, this._filterListener(listener, filter, listener));
+    this._updateSubscription(eventName);
+
+    return this;
   }
 
-  once(eventName, listener) {
-    if (isCreateOrUpdate(eventName)) {
-      const sids = this._subjects[eventName].map(sub => this._subscribe(
-        sub, processEvent(this.emit.bind(this, eventName))
+  once(eventName, listener, filter) {
+    if (!isEntityEvent(eventName))
+      return super.once(eventName, listener);
+
+    // Filtered out events must not consume the listener
+    if (isNil(filter))
+      super.once(eventName, listener);
+    else
+      super.on(eventName, this._filterListener(listener, filter,
+        (err, msg) => {
+          this.removeListener(eventName, listener);
+          listener(err, msg);
+        }
       ));
 
-      this._addListener(eventName, listener, sids);
-    }
+    this._updateSubscription(eventName);
 
-    return super.once(eventName, listener);
+    return this;
   }
 
-  prependListener(eventName, listener) {
+  prependListener(eventName, listener, filter) {
     // Cannot reorder transport subscriptions, passing through to on
-    return this.on(eventName, listener);
+    return this.on(eventName, listener, filter);
   }
 
-  prependOnceListener(eventName, listener) {
+  prependOnceListener(eventName, listener, filter) {
     // Cannot reorder transport subscriptions, passing through to once
-    return this.once(eventName, listener);
+    return this.once(eventName, listener, filter);
   }
 
   removeAllListeners(eventName) {
-    if (isCreateOrUpdate(eventName) || eventName == null)
-      this._removeAllListeners(eventName).map(this._unsubscribe);
+    // EventEmitter only removes listeners of all events when called without
+    // arguments
+    if (isNil(eventName))
+      super.removeAllListeners();
+    else
+      super.removeAllListeners(eventName);
+
+    if (isEntityEvent(eventName))
+      this._updateSubscription(eventName);
+    else if (isNil(eventName))
+      entityEvents.forEach(event => this._updateSubscription(event));
 
-    return super.removeAllListeners(eventName);
+    return this;
   }
 
   removeListener(eventName, listener) {
-    if (isCreateOrUpdate(eventName))
-      this._removeListener(eventName, listener).map(this._unsubscribe);
+    super.removeListener(eventName, listener);
 
-    return super.removeListener(eventName, listener);
+    if (isEntityEvent(eventName))
+      this._updateSubscription(eventName);
+
+    return this;
+  }
+
+  off(eventName, listener) {
+    return this.removeListener(eventName, listener);
   }
 
   _read() {
@@ -463,30 +1017,140 @@ class Provider extends Duplex {
     return this.push(object);
   }
 
+  // Applies defaults to created objects and validates them, when enabled
+  _prepareCreated(object) {
+    if (!this._validate)
+      return object;
+
+    const prepared = is(Array, object)
+      ? object.map(item => applyDefaults(this._fields, item))
+      : applyDefaults(this._fields, object);
+
+    assertValid(validateCreate(this._fields, prepared));
+
+    return prepared;
+  }
+
+  _validateUpdated(object) {
+    if (this._validate)
+      assertValid(validateUpdate(this._fields, object));
+  }
+
+  // Splits chunks into `{ chunk, index, object }` items to send, where `object`
+  // is the prepared chunk, and invalid ones reported by `onInvalid`
+  _prepareChunks(chunks, index, onInvalid) {
+    return chunks.reduce((items, chunk, i) => {
+      const object = tryCatch(o => this._prepareCreated(o), identity)(chunk);
+
+      if (!is(Error, object))
+        return [...items, { chunk, index: index + i, object }];
+
+      onInvalid(object, chunk, index + i);
+
+      return items;
+    }, []);
+  }
+
+  _emitStreamError(err) {
+    process.nextTick(() => this.emit(ProviderEvents.StreamError, err));
+  }
+
   async _write(chunk, _, callback) {
+    if (this._itemResults)
+      return this._writeItems([chunk], callback);
+
+    const items = this._prepareChunks([chunk], 0, err =>
+      this._emitStreamError(err)
+    );
+    if (items.length === 0)
+      return callback();
+
     /* NB: Emitting `error` event or passing error to callback unpipes from
      *     Readable. Emitting custom event instead.
      */
-    await this._streamCreate(chunk).catch(err => process.nextTick(
-      () => this.emit(ProviderEvents.StreamError, err)
-    ));
+    await this._streamCreate(items[0].object)
+      .catch(err => this._emitStreamError(err));
 
     return callback();
   }
 
   async _writev(objs, callback) {
     const chunks = objs.map(({ chunk }) => chunk);
+
+    if (this._itemResults)
+      return this._writeItems(chunks, callback);
+
+    // Invalid chunks are reported one by one and not sent
+    const items = this._prepareChunks(chunks, 0, err =>
+      this._emitStreamError(err)
+    );
+    if (items.length === 0)
+      return callback();
+
     /* Send all chunks at once. There can be only one error per batch.
      *
      * NB: Emitting `error` event or passing error to callback unpipes from
      *     Readable. Emitting custom event instead.
      */
-    await this._streamCreate(chunks).catch(err => process.nextTick(
-      () => this.emit(ProviderEvents.StreamError, err)
-    ));
+    await this._streamCreate(items.map(prop('object')))
+      .catch(err => this._emitStreamError(err));
 
     return callback();
   }
+
+  // Sends all chunks at once, getting an outcome for each of them. Invalid
+  // chunks are reported right away and not sent.
+  async _writeItems(chunks, callback) {
+    const items = this._prepareChunks(
+      chunks, this._written, (err, chunk, index) => this._onItemError(
+        err, chunk, index
+      )
+    );
+
+    this._written += chunks.length;
+
+    if (items.length === 0)
+      return callback();
+
+    await this._streamCreate(items.map(prop('object')))
+      .then(outcomes => assertItemResults(items, outcomes))
+      .then(
+        outcomes => this._onItemResults(items, outcomes),
+        // The whole batch failed, e.g. on timeout or with unexpected results
+        err => items.forEach(({ chunk, index }) => this._onItemError(
+          err, chunk, index
+        ))
+      );
+
+    return callback();
+  }
+
+  _onItemResults(items, outcomes) {
+    const ids = [];
+
+    outcomes.forEach(({ error, result }, i) => {
+      if (isNil(error))
+        return ids.push(result._id);
+
+      const { chunk, index, object } = items[i];
+
+      const query = { object, projection: streamProjection };
+
+      this._onItemError(fromReply(error, query), chunk, index);
+    });
+
+    if (ids.length > 0)
+      process.nextTick(() => this.emit(ProviderEvents.Created, ids));
+  }
+
+  _onItemError(err, chunk, index) {
+    process.nextTick(
+      () => this.emit(ProviderEvents.StreamError, err, chunk, index)
+    );
+
+    if (isNotNil(this._deadLetter))
+      this._deadLetter.write({ chunk, error: err, index });
+  }
 }
 
 module.exports = {
@@ -0,0 +1,239 @@
+'use strict';
+
+const {
+  any,
+  all,
+  assocPath,
+  clone,
+  curry,
+  dissocPath,
+  equals,
+  has,
+  includes,
+  is,
+  isNil,
+  keys,
+  mergeDeepRight,
+  path,
+  split,
+  toPairs
+} = require('ramda');
+
+const splitPath = split('.');
+
+const getPath = curry((_path, doc) => path(splitPath(_path), doc));
+
+const isOperatorObject = value => is(Object, value) && !is(Date, value) &&
+  !is(Array, value) && keys(value).some(key => key.startsWith('$'));
+
+// Dates are compared by their time, even when one side is an ISO string
+function toComparable(a, b) {
+  if (is(Date, a) || is(Date, b))
+    return [new Date(a).getTime(), new Date(b).getTime()];
+
+  return [a, b];
+}
+
+const COMPARABLE_TYPES = ['boolean', 'number', 'string'];
+
+// Returns NaN when values are not comparable
+function compare(a, b) {
+  const [_a, _b] = toComparable(a, b);
+
+  if (typeof _a !== typeof _b || !includes(typeof _a, COMPARABLE_TYPES) ||
+      Number.isNaN(_a) || Number.isNaN(_b))
+    return NaN;
+
+  return _a < _b ? -1 : _a > _b ? 1 : 0;
+}
+
+function isEqual(value, operand) {
+  // Missing fields are equal to null
+  if (isNil(operand))
+    return isNil(value);
+
+  // Arrays match when any element is equal
+  if (is(Array, value) && !is(Array, operand))
+    return value.some(x => isEqual(x, operand));
+
+  return equals(value, operand) || compare(value, operand) === 0;
+}
+
+const operators = {
+  $eq:     isEqual,
+  $exists: (value, operand) => (value !== undefined) === Boolean(operand),
+  $gt:     (value, operand) => compare(value, operand) > 0,
+  $gte:    (value, operand) => compare(value, operand) >= 0,
+  $in:     (value, operand) => any(x => isEqual(value, x), operand),
+  $lt:     (value, operand) => compare(value, operand) < 0,
+  $lte:    (value, operand) => compare(value, operand) <= 0,
+  $ne:     (value, operand) => !isEqual(value, operand),
+  $nin:    (value, operand) => !any(x => isEqual(value, x), operand)
+};
+
+function matchValue(value, condition) {
+  if (!isOperatorObject(condition))
+    return isEqual(value, condition);
+
+  return all(([operator, operand]) => {
+    if (!has(operator, operators))
+      throw new Error(`Unsupported operator: ${operator}`);
+
+    return operators[operator](value, operand);
+  }, toPairs(condition));
+}
+
+// Returns `true` when `doc` matches Mongo-style `conditions`
+const matches = curry((conditions, doc) => all(([key, condition]) => {
+  switch (key) {
+    case '$and':
+      return all(x => matches(x, doc), condition);
+    case '$nor':
+      return !any(x => matches(x, doc), condition);
+    case '$or':
+      return any(x => matches(x, doc), condition);
+    default:
+      return matchValue(getPath(key, doc), condition);
+  }
+}, toPairs(conditions || {})));
+
+// Returns `true` for inclusion and `false` for exclusion `projection`
+function isInclusion(projection) {
+  const values = toPairs(projection)
+    .filter(([key]) => key !== '_id')
+    .map(([, value]) => Boolean(value));
+
+  if (includes(true, values) && includes(false, values))
+    throw new Error('Projection cannot have a mix of inclusion and exclusion');
+
+  return values.length === 0
+    ? Boolean(projection._id)
+    : values[0];
+}
+
+// Applies Mongo-style inclusion or exclusion `projection` to a copy of `doc`
+const project = curry((projection, doc) => {
+  if (isNil(projection) || keys(projection).length === 0)
+    return clone(doc);
+
+  if (!isInclusion(projection))
+    return toPairs(projection).reduce(
+      (result, [key]) => dissocPath(splitPath(key), result),
+      clone(doc)
+    );
+
+  const _keys = keys(projection).filter(key => Boolean(projection[key]));
+  if (!has('_id', projection))
+    _keys.unshift('_id');
+
+  return _keys.reduce((result, key) => {
+    const value = getPath(key, doc);
+
+    return value === undefined
+      ? result
+      : assocPath(splitPath(key), clone(value), result);
+  }, {});
+});
+
+const updateOperators = {
+  $currentDate: (doc, key) => assocPath(splitPath(key), new Date(), doc),
+  $inc:         (doc, key, value) => assocPath(
+    splitPath(key), (getPath(key, doc) || 0) + value, doc
+  ),
+  $set:         (doc, key, value) => assocPath(splitPath(key), value, doc),
+  $unset:       (doc, key) => dissocPath(splitPath(key), doc)
+};
+
+/* Applies Mongo-style `update` to a copy of `doc`. Fields without an operator
+ * are set like Mongoose does. `$setOnInsert` is only applied when `isInsert` is
+ * set.
+ */
+function applyUpdate(update, doc, isInsert = false) {
+  return toPairs(update).reduce((result, [key, value]) => {
+    if (key === '$setOnInsert')
+      return isInsert
+        ? applyUpdate({ $set: value }, result)
+        : result;
+
+    if (!key.startsWith('$'))
+      return updateOperators.$set(result, key, clone(value));
+
+    if (!has(key, updateOperators))
+      throw new Error(`Unsupported update operator: ${key}`);
+
+    return toPairs(value).reduce(
+      (_result, [field, operand]) => updateOperators[key](
+        _result, field, clone(operand)
+      ),
+      result
+    );
+  }, clone(doc));
+}
+
+/* Returns a document with fields that `conditions` require to be equal, like
+ * Mongo does when upserting.
+ */
+function fromConditions(conditions) {
+  return toPairs(conditions || {}).reduce((doc, [key, condition]) => {
+    if (key === '$and')
+      return condition.reduce(
+        (result, x) => mergeDeepRight(result, fromConditions(x)), doc
+      );
+
+    if (key.startsWith('$'))
+      return doc;
+
+    if (!isOperatorObject(condition))
+      return assocPath(splitPath(key), clone(condition), doc);
+
+    return has('$eq', condition)
+      ? assocPath(splitPath(key), clone(condition.$eq), doc)
+      : doc;
+  }, {});
+}
+
+// Parses `{ a: 1, b: -1 }` or `'a -b'` into `[['a', 1], ['b', -1]]`
+function parseSort(sort) {
+  if (is(String, sort))
+    return sort.split(/\s+/).filter(Boolean).map(key => key.startsWith('-')
+      ? [key.slice(1), -1]
+      : [key, 1]
+    );
+
+  return toPairs(sort || {}).map(([key, order]) => [
+    key,
+    order === -1 || order === 'desc' || order === 'descending' ? -1 : 1
+  ]);
+}
+
+// Returns a comparator for Mongo-style `sort`. Missing values sort first.
+function sortBy(sort) {
+  const fields = parseSort(sort);
+
+  return (a, b) => {
+    for (const [key, order] of fields) {
+      const x = getPath(key, a);
+      const y = getPath(key, b);
+
+      if (isNil(x) !== isNil(y))
+        return (isNil(x) ? -1 : 1) * order;
+
+      const result = compare(x, y);
+      if (result !== 0 && !Number.isNaN(result))
+        return result * order;
+    }
+
+    return 0;
+  };
+}
+
+module.exports = {
+  applyUpdate,
+  fromConditions,
+  getPath,
+  isInclusion,
+  matches,
+  parseSort,
+  project,
+  sortBy
+};
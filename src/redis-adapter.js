@@ -0,0 +1,103 @@
+'use strict';
+
+const {
+  ok: assert
+} = require('assert');
+
+const {
+  isNil
+} = require('ramda');
+
+const {
+  Subscriptions,
+  TransportAdapter,
+
+  callbackToPromise,
+  encodeEnvelope
+} = require('./transport');
+
+const escapeGlob = token => token.replace(/[?*[\]\\]/g, '\\$&');
+
+// Redis glob `*` spans `.` as well, so patterns are only an approximation that
+// is narrowed down by matching subjects locally
+const toPattern = subject => subject
+  .split('.')
+  .map(token => token === '*' || token === '>' ? '*' : escapeGlob(token))
+  .join('.');
+
+/* Adapter for Redis pub/sub using node-redis v3 or ioredis client API.
+ * Subscribing puts a Redis connection into subscriber mode, so separate
+ * `publisher` and `subscriber` connections are required. Request/reply is
+ * emulated with reply-to channels carried in a message envelope.
+ */
+class RedisAdapter extends TransportAdapter {
+  constructor({ publisher, subscriber } = {}) {
+    super();
+
+    assert(publisher != null, 'publisher must be set');
+    assert(subscriber != null, 'subscriber must be set');
+    assert(publisher !== subscriber,
+      'publisher and subscriber must be separate connections');
+    assert(typeof subscriber.on === 'function',
+      'subscriber must be an event emitter');
+
+    this._publisher  = publisher;
+    this._subscriber = subscriber;
+
+    this._ready = new Map();
+    this._subs  = new Subscriptions();
+
+    this._onMessage = (pattern, channel, message) => this._subs.dispatch(
+      pattern, channel, message
+    );
+
+    subscriber.on('pmessage', this._onMessage);
+  }
+
+  publish(subject, msg, replyTo) {
+    return callbackToPromise(cb => this._publisher.publish(
+      subject, encodeEnvelope(msg, replyTo), cb
+    ));
+  }
+
+  subscribe(subject, callback) {
+    const pattern = toPattern(subject);
+
+    const { handle, isNew } = this._subs.add(subject, pattern, callback);
+
+    if (isNew)
+      this._ready.set(pattern, callbackToPromise(
+        cb => this._subscriber.psubscribe(pattern, cb)
+      ));
+
+    return handle;
+  }
+
+  unsubscribe(handle) {
+    const pattern = this._subs.remove(handle);
+    if (isNil(pattern))
+      return;
+
+    this._ready.delete(pattern);
+    this._subscriber.punsubscribe(pattern);
+  }
+
+  ready(handle) {
+    const sub = this._subs.get(handle);
+
+    return isNil(sub) ? Promise.resolve() : this._ready.get(sub.key);
+  }
+
+  close() {
+    this._subscriber.removeListener('pmessage', this._onMessage);
+
+    return Promise.all([
+      callbackToPromise(cb => this._subscriber.quit(cb)),
+      callbackToPromise(cb => this._publisher.quit(cb))
+    ]).then(() => undefined);
+  }
+}
+
+module.exports = {
+  RedisAdapter
+};
@@ -3,10 +3,15 @@
 const {
   bind,
   construct,
-  pipe
+  pipe,
+  zipWith
 } = require('ramda');
 
+// Tagged template literal that returns a rejected Promise with an Error
 const reject = pipe(
+  (strings, ...values) => zipWith(
+    (string, value) => `${string}${value}`, strings, [...values, '']
+  ).join(''),
   construct(Error),
   bind(Promise.reject, Promise)
 );
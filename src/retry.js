@@ -0,0 +1,87 @@
+'use strict';
+
+const {
+  includes,
+  min,
+  propOr
+} = require('ramda');
+
+const {
+  isAborted,
+  onAbort
+} = require('./abort');
+
+const {
+  AbortError,
+  TimeoutError
+} = require('./errors');
+
+// Transport timeout codes, i.e. of node-nats v1 and transport adapters, and of
+// nats.js v2
+const TIMEOUT_CODES = ['REQ_TIMEOUT', 'TIMEOUT'];
+
+const isTimeout = err => err instanceof TimeoutError ||
+  includes(propOr(null, 'code', err), TIMEOUT_CODES);
+
+// Waits `delay` unless `signal` aborts first, rejecting right away then
+const sleep = (delay, signal, query) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    removeAbortListener();
+    resolve();
+  }, delay);
+
+  const removeAbortListener = onAbort(signal, () => {
+    clearTimeout(timer);
+    reject(new AbortError(query));
+  });
+});
+
+// Exponential backoff delay before retry `n`, reduced by up to `jitter` share
+function backoff({ jitter, maxDelay, minDelay }, n) {
+  const delay = min(maxDelay, minDelay * 2 ** n);
+
+  return Math.round(delay * (1 - jitter * Math.random()));
+}
+
+/* Wraps `execFor(timeout)` to retry failed queries with exponential backoff.
+ * All attempts share the `timeout` deadline, which by default is split evenly
+ * between them.
+ */
+function withRetry(execFor, timeout, {
+  retries  = 0,
+  minDelay = 100,
+  maxDelay = 1000,
+  jitter   = 0.5,
+  retryOn  = isTimeout,
+
+  attemptTimeout = Math.floor(timeout / (retries + 1))
+} = {}) {
+  if (retries <= 0)
+    return execFor(timeout);
+
+  const options = { jitter, maxDelay, minDelay };
+
+  return (query, signal) => {
+    const deadline = Date.now() + timeout;
+
+    const attempt = n => execFor(
+      min(attemptTimeout, deadline - Date.now())
+    )(query, signal).catch(err => {
+      const delay = backoff(options, n);
+
+      if (n >= retries || !retryOn(err) || isAborted(signal) ||
+          Date.now() + delay >= deadline)
+        throw err;
+
+      return sleep(delay, signal, query).then(() => attempt(n + 1));
+    });
+
+    return attempt(0);
+  };
+}
+
+module.exports = {
+  backoff,
+  isTimeout,
+  withRetry
+};
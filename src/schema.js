@@ -0,0 +1,34 @@
+'use strict';
+
+const {
+  has,
+  is,
+  isEmpty,
+  isNil
+} = require('ramda');
+
+// Sentinel types passed to schema `fields` functions
+const Types = {
+  Mixed:    function Mixed() {},
+  ObjectId: function ObjectId() {}
+};
+
+const getFields = schema => typeof schema.fields === 'function'
+  ? schema.fields(Types)
+  : schema.fields;
+
+// Field definitions are types, arrays of types, objects with `type` or empty
+// objects, anything else is a nested object
+const isField = spec => isNil(spec) || typeof spec === 'function' ||
+  is(String, spec) || is(Array, spec) || has('type', spec) || isEmpty(spec);
+
+const isPlainObject = value => is(Object, value) && !is(Array, value) &&
+  !is(Date, value);
+
+module.exports = {
+  Types,
+
+  getFields,
+  isField,
+  isPlainObject
+};
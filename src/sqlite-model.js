@@ -0,0 +1,550 @@
+'use strict';
+
+const {
+  ok: assert
+} = require('assert');
+
+const {
+  assocPath,
+  has,
+  is,
+  isEmpty,
+  isNil,
+  keys,
+  split,
+  toPairs
+} = require('ramda');
+
+const {
+  assertSchema
+} = require('./assert');
+
+const {
+  idGenerator
+} = require('./object-id');
+
+const {
+  applyUpdate,
+  fromConditions,
+  isInclusion,
+  parseSort
+} = require('./query');
+
+const {
+  getFields,
+  isField,
+  isPlainObject
+} = require('./schema');
+
+const splitPath = split('.');
+
+const quote = name => `"${name.replace(/"/g, '""')}"`;
+
+const columnList = columns => columns
+  .map(({ name }) => quote(name))
+  .join(', ');
+
+const isOperatorObject = value => isPlainObject(value) &&
+  keys(value).some(key => key.startsWith('$'));
+
+const COLUMN_TYPES = {
+  boolean: 'INTEGER',
+  date:    'TEXT',
+  json:    'TEXT',
+  number:  'REAL',
+  text:    'TEXT'
+};
+
+const KINDS = {
+  Boolean:  'boolean',
+  Date:     'date',
+  Number:   'number',
+  ObjectId: 'text',
+  String:   'text'
+};
+
+function getKind(type) {
+  const name = typeof type === 'function'
+    ? type.schemaName || type.name
+    : type;
+
+  return KINDS[name] || 'json';
+}
+
+// Flattens schema fields into columns named with dotted paths
+function flattenFields(fields, prefix = '') {
+  return toPairs(fields).reduce((columns, [key, spec]) => {
+    const name = `${prefix}${key}`;
+
+    if (name === '_id')
+      return columns;
+
+    if (!isField(spec))
+      return [...columns, ...flattenFields(spec, `${name}.`)];
+
+    const type = !isNil(spec) && has('type', spec) ? spec.type : spec;
+
+    return [...columns, {
+      name,
+      kind: is(Array, type) ? 'json' : getKind(type)
+    }];
+  }, []);
+}
+
+const getColumns = fields => [
+  { name: '_id', kind: 'text' },
+
+  ...flattenFields(fields)
+];
+
+function toSql(kind, value) {
+  if (isNil(value))
+    return null;
+
+  switch (kind) {
+    case 'date':
+      return new Date(value).toISOString();
+    case 'json':
+      return JSON.stringify(value);
+    default:
+      if (is(Boolean, value))
+        return value ? 1 : 0;
+      if (is(Date, value))
+        return value.toISOString();
+      if (is(Object, value))
+        return JSON.stringify(value);
+
+      return value;
+  }
+}
+
+function fromSql(kind, value) {
+  if (isNil(value))
+    return undefined;
+
+  switch (kind) {
+    case 'boolean':
+      return Boolean(value);
+    case 'date':
+      return new Date(value);
+    case 'json':
+      return JSON.parse(value);
+    default:
+      return value;
+  }
+}
+
+const covers = (key, name) => name === key || name.startsWith(`${key}.`);
+
+const COMPARISONS = {
+  $gt:  '>',
+  $gte: '>=',
+  $lt:  '<',
+  $lte: '<='
+};
+
+/* Translates Mongo-style queries to parameterized SQL. Every expression
+ * evaluates to 0 or 1, never NULL, so that negations match missing values like
+ * Mongo does.
+ */
+class Translator {
+  constructor(columns) {
+    this.columns = columns;
+
+    this._byName = new Map(columns.map(column => [column.name, column]));
+  }
+
+  column(name) {
+    const column = this._byName.get(name);
+    if (isNil(column))
+      throw new Error(`Unknown field: ${name}`);
+
+    return column;
+  }
+
+  // Returns columns for `key` and whether it's a prefix of nested columns
+  resolve(key) {
+    if (this._byName.has(key))
+      return { columns: [this._byName.get(key)], isPrefix: false };
+
+    const columns = this.columns.filter(({ name }) => covers(key, name));
+    if (columns.length === 0)
+      throw new Error(`Unknown field: ${key}`);
+
+    return { columns, isPrefix: true };
+  }
+
+  where(conditions, params) {
+    const clauses = toPairs(conditions || {}).map(([key, condition]) => {
+      switch (key) {
+        case '$and':
+          return this._join(condition, ' AND ', '1', params);
+        case '$nor':
+          return `NOT ${this._join(condition, ' OR ', '0', params)}`;
+        case '$or':
+          return this._join(condition, ' OR ', '0', params);
+        default:
+          return this._field(key, condition, params);
+      }
+    });
+
+    return clauses.length === 0 ? '1' : clauses.join(' AND ');
+  }
+
+  _join(conditions, separator, empty, params) {
+    return conditions.length === 0
+      ? empty
+      : `(${conditions.map(x => this.where(x, params)).join(separator)})`;
+  }
+
+  _field(key, condition, params) {
+    const { columns, isPrefix } = this.resolve(key);
+
+    const _condition = isOperatorObject(condition)
+      ? condition
+      : { $eq: condition };
+
+    const clauses = toPairs(_condition).map(([operator, operand]) => isPrefix
+      ? this._prefix(key, columns, operator, operand)
+      : this._operator(columns[0], operator, operand, params)
+    );
+
+    return clauses.length === 1 ? clauses[0] : `(${clauses.join(' AND ')})`;
+  }
+
+  // Nested objects are only checked for existence
+  _prefix(key, columns, operator, operand) {
+    const isNull = () => `(${columns
+      .map(({ name }) => `${quote(name)} IS NULL`)
+      .join(' AND ')})`;
+
+    if ((operator === '$eq' && isNil(operand)) ||
+        (operator === '$exists' && !operand))
+      return isNull();
+
+    if ((operator === '$ne' && isNil(operand)) ||
+        (operator === '$exists' && operand))
+      return `NOT ${isNull()}`;
+
+    throw new Error(`Unsupported condition on nested object: ${key}`);
+  }
+
+  _operator(column, operator, operand, params) {
+    const name = quote(column.name);
+
+    switch (operator) {
+      case '$eq':
+        return this._equals(column, operand, params);
+      case '$exists':
+        return `${name} IS ${operand ? 'NOT ' : ''}NULL`;
+      case '$in':
+        return this._in(column, operand, params);
+      case '$ne':
+        return `NOT ${this._equals(column, operand, params)}`;
+      case '$nin':
+        return `NOT ${this._in(column, operand, params)}`;
+      default:
+        if (!has(operator, COMPARISONS))
+          throw new Error(`Unsupported operator: ${operator}`);
+
+        params.push(toSql(column.kind, operand));
+
+        return `COALESCE(${name} ${COMPARISONS[operator]} ?, 0)`;
+    }
+  }
+
+  _equals(column, operand, params) {
+    const name = quote(column.name);
+
+    if (isNil(operand))
+      return `${name} IS NULL`;
+
+    // Arrays match when any element is equal
+    if (column.kind === 'json' && !is(Object, operand)) {
+      params.push(toSql('text', operand));
+
+      return `EXISTS (SELECT 1 FROM json_each(${name}) WHERE value = ?)`;
+    }
+
+    params.push(toSql(column.kind, operand));
+
+    return `${name} IS ?`;
+  }
+
+  _in(column, operands, params) {
+    return operands.length === 0
+      ? '0'
+      : `(${operands
+        .map(operand => this._equals(column, operand, params))
+        .join(' OR ')})`;
+  }
+
+  select(projection) {
+    if (isNil(projection) || keys(projection).length === 0)
+      return this.columns;
+
+    const _keys = keys(projection);
+
+    if (!isInclusion(projection))
+      return this.columns.filter(({ name }) => !_keys.some(
+        key => covers(key, name)
+      ));
+
+    return this.columns.filter(({ name }) => name === '_id'
+      ? !has('_id', projection) || Boolean(projection._id)
+      : _keys.some(key => Boolean(projection[key]) && covers(key, name))
+    );
+  }
+
+  orderBy(sort) {
+    return parseSort(sort)
+      .map(([key, order]) => `${quote(this.column(key).name)} ${
+        order === -1 ? 'DESC' : 'ASC'
+      }`)
+      .join(', ');
+  }
+
+  // Maps `object` to `[column, value]` pairs, ignoring unknown fields
+  values(object, prefix = '') {
+    return toPairs(object).reduce((pairs, [key, value]) => {
+      const name = `${prefix}${key}`;
+
+      if (this._byName.has(name))
+        return [...pairs, [this._byName.get(name), value]];
+
+      if (isPlainObject(value) &&
+          this.columns.some(column => covers(name, column.name)))
+        return [...pairs, ...this.values(value, `${name}.`)];
+
+      return pairs;
+    }, []);
+  }
+
+  set(update, params) {
+    const now = new Date();
+
+    const assign = ([column, value]) => {
+      params.push(toSql(column.kind, value));
+
+      return `${quote(column.name)} = ?`;
+    };
+
+    const operators = {
+      $currentDate: key => assign([this.column(key), now]),
+
+      $inc: (key, value) => {
+        const name = quote(this.column(key).name);
+
+        params.push(value);
+
+        return `${name} = COALESCE(${name}, 0) + ?`;
+      },
+
+      // Setting a nested object replaces all of its columns
+      $set: (key, value) => {
+        const { columns, isPrefix } = this.resolve(key);
+        if (!isPrefix)
+          return assign([columns[0], value]);
+
+        const values = new Map(this.values({ [key]: value }));
+
+        return columns
+          .map(column => assign([column, values.get(column)]))
+          .join(', ');
+      },
+
+      $unset: key => this.resolve(key).columns
+        .map(({ name }) => `${quote(name)} = NULL`)
+        .join(', ')
+    };
+
+    return toPairs(update).reduce((clauses, [operator, value]) => {
+      if (operator === '$setOnInsert')
+        return clauses;
+
+      if (!operator.startsWith('$'))
+        return [...clauses, operators.$set(operator, value)];
+
+      if (!has(operator, operators))
+        throw new Error(`Unsupported update operator: ${operator}`);
+
+      return [...clauses, ...toPairs(value).map(
+        ([key, operand]) => operators[operator](key, operand)
+      )];
+    }, []).join(', ');
+  }
+}
+
+const toDocument = (columns, row) => columns.reduce((doc, { name, kind }) => {
+  const value = fromSql(kind, row[name]);
+
+  return value === undefined ? doc : assocPath(splitPath(name), value, doc);
+}, {});
+
+// Creates a table for `columns` or adds columns missing from an existing one
+function migrate(db, table, columns) {
+  db.exec(`CREATE TABLE IF NOT EXISTS ${quote(table)} (${columns
+    .map(({ name, kind }) => name === '_id'
+      ? `${quote(name)} TEXT PRIMARY KEY`
+      : `${quote(name)} ${COLUMN_TYPES[kind]}`
+    )
+    .join(', ')})`);
+
+  const existing = db.prepare(`PRAGMA table_info(${quote(table)})`).all()
+    .map(({ name }) => name);
+
+  for (const { name, kind } of columns)
+    if (!existing.includes(name))
+      db.exec(`ALTER TABLE ${quote(table)} ADD COLUMN ${quote(name)} ${
+        COLUMN_TYPES[kind]
+      }`);
+}
+
+/* Builds a model over a SQLite table, implementing the model contract expected
+ * by Store. `db` must implement `exec` and `prepare` like better-sqlite3 and
+ * node:sqlite databases do.
+ */
+function createSqliteModel(schema, { db, table = schema.name } = {}) {
+  assertSchema(schema);
+  assert(db != null, 'db must be set');
+
+  const createId   = idGenerator();
+  const translator = new Translator(getColumns(getFields(schema)));
+  const from       = quote(table);
+
+  migrate(db, table, translator.columns);
+
+  function transaction(fn) {
+    db.exec('BEGIN');
+
+    try {
+      const result = fn();
+      db.exec('COMMIT');
+
+      return result;
+    }
+    catch (err) {
+      db.exec('ROLLBACK');
+
+      throw err;
+    }
+  }
+
+  function select(conditions, projection, options = {}) {
+    const { limit, skip, sort } = options || {};
+
+    const params  = [];
+    const columns = translator.select(projection);
+
+    let sql = `SELECT ${columnList(columns)} FROM ${from} ` +
+      `WHERE ${translator.where(conditions, params)}`;
+
+    if (!isNil(sort) && !isEmpty(sort))
+      sql += ` ORDER BY ${translator.orderBy(sort)}`;
+
+    if (!isNil(limit) && limit !== 0) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+    else if (!isNil(skip))
+      sql += ' LIMIT -1';
+
+    if (!isNil(skip)) {
+      sql += ' OFFSET ?';
+      params.push(skip);
+    }
+
+    return db.prepare(sql).all(...params)
+      .map(row => toDocument(columns, row));
+  }
+
+  function insert(object, projection) {
+    const pairs = translator.values({ _id: createId(), ...object });
+
+    db.prepare(`INSERT INTO ${from} (${pairs
+      .map(([{ name }]) => quote(name))
+      .join(', ')}) VALUES (${pairs.map(() => '?').join(', ')})`
+    ).run(...pairs.map(([{ kind }, value]) => toSql(kind, value)));
+
+    const [, _id] = pairs.find(([{ name }]) => name === '_id');
+
+    return select({ _id }, projection)[0];
+  }
+
+  return {
+    db,
+    table,
+
+    async count(conditions) {
+      const params = [];
+
+      return db.prepare(
+        `SELECT COUNT(*) AS count FROM ${from} WHERE ${
+          translator.where(conditions, params)
+        }`
+      ).get(...params).count;
+    },
+
+    async create(object, projection) {
+      return is(Array, object)
+        ? transaction(() => object.map(x => insert(x, projection)))
+        : insert(object, projection);
+    },
+
+    async find(conditions, projection, options) {
+      return select(conditions, projection, options);
+    },
+
+    async remove(conditions, projection) {
+      const params  = [];
+      const columns = translator.select(projection);
+
+      return db.prepare(
+        `DELETE FROM ${from} WHERE ${translator.where(conditions, params)} ` +
+        `RETURNING ${columnList(columns)}`
+      ).all(...params).map(row => toDocument(columns, row));
+    },
+
+    async update(conditions, object, options = {}) {
+      const { multi = false, upsert = false } = options || {};
+
+      const params = [];
+      const set    = translator.set(object, params);
+      const where  = multi
+        ? translator.where(conditions, params)
+        : `rowid IN (SELECT rowid FROM ${from} WHERE ${
+          translator.where(conditions, params)
+        } LIMIT 1)`;
+
+      // NB: SQLite counts matched rows as changed even when values are equal
+      function execute() {
+        let n       = 0;
+        let changes = 0;
+
+        if (set.length === 0)
+          n = db.prepare(`SELECT COUNT(*) AS count FROM ${from} WHERE ${where}`)
+            .get(...params).count;
+        else {
+          changes = db.prepare(`UPDATE ${from} SET ${set} WHERE ${where}`)
+            .run(...params).changes;
+          n = changes;
+        }
+
+        if (n > 0 || !upsert)
+          return { n, nModified: changes, ok: 1 };
+
+        const { _id } = insert(
+          applyUpdate(object, fromConditions(conditions), true), { _id: 1 }
+        );
+
+        return { n: 1, nModified: 0, upserted: [{ index: 0, _id }], ok: 1 };
+      }
+
+      return upsert ? transaction(execute) : execute();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteModel
+};
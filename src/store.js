@@ -13,22 +13,28 @@ const {
 const {
   always,
   complement,
-  curry,
+  curryN,
+  has,
   identity,
   ifElse,
+  includes,
   invoker,
   is,
   isNil,
   liftN,
-  merge,
+  max,
   objOf,
   partial,
+  omit,
+  path,
   pick,
   pipe,
   prop,
   propOr,
+  splitEvery,
   tap,
   tryCatch,
+  values,
   when
 } = require('ramda');
 
@@ -36,14 +42,43 @@ const {
   assertSchema
 } = require('./assert');
 
+const {
+  toTransportAdapter
+} = require('./nats-adapter');
+
+const {
+  ConflictError,
+  ErrorCodes,
+  ValidationError
+} = require('./errors');
+
+const {
+  IdempotencyCache
+} = require('./idempotency');
+
+const {
+  DELETED,
+  VERSION
+} = require('./metadata');
+
 const {
   reject
 } = require('./reject');
 
+const {
+  getFields
+} = require('./schema');
+
 const {
   getSubjects: _getSubjects
 } = require('./subjects');
 
+const {
+  assertValid,
+  validateCreate,
+  validateUpdate
+} = require('./validation');
+
 const catchP   = invoker(1, 'catch');
 const isNot    = complement(is);
 const isNotNil = complement(isNil);
@@ -53,55 +88,198 @@ const thenP    = invoker(1, 'then');
 const thenP2   = invoker(2, 'then');
 
 const StoreEvents = {
-  CountError:  'count-error',
-  CreateError: 'create-error',
-  FindError:   'find-error',
-  UpdateError: 'update-error'
+  CountError:       'count-error',
+  CreateError:      'create-error',
+  DeadLetterError:  'dead-letter-error',
+  DeadlineExceeded: 'deadline-exceeded',
+  FindError:        'find-error',
+  NotifyError:      'notify-error',
+  RemoveError:      'remove-error',
+  UpdateError:      'update-error'
+};
+
+// Provider sends the remaining `timeout` of a request, which is turned into a
+// local `deadline` once it arrives, so that clocks need not be in sync
+const toLocalDeadline = msg => {
+  if (!is(Object, msg) || is(Array, msg))
+    return msg;
+
+  const timeout = path(['timeout'], msg);
+  const request = omit(['deadline', 'timeout'], msg);
+
+  return isNil(timeout)
+    ? request
+    : { ...request, deadline: Date.now() + timeout };
+};
+
+// Requests past their local `deadline` are not waited for anymore
+const isExpired = msg => {
+  const deadline = path(['deadline'], msg);
+
+  return isNotNil(deadline) && Date.now() >= deadline;
 };
 
+// Rejects requests that expired while they were processed, so that `exec`
+// skips them like the ones expired on arrival
+class DeadlineExceeded extends Error {}
+
+function assertNotExpired(msg) {
+  if (isExpired(msg))
+    throw new DeadlineExceeded('deadline exceeded');
+}
+
+// Remaining budget of a request for the model, at least 1ms as `maxTimeMS: 0`
+// means no limit
+const getMaxTime = deadline => isNil(deadline)
+  ? {}
+  : { maxTimeMS: max(1, deadline - Date.now()) };
+
+const getFindOptions = ({ deadline, options }) => isNil(deadline)
+  ? options
+  : { ...options, ...getMaxTime(deadline) };
+
+// Options of model methods without protocol options
+const getModelOptions = ({ deadline }) => isNil(deadline)
+  ? undefined
+  : getMaxTime(deadline);
+
 const updateOptionsBase = {
   multi: true
 };
 
+const getUpdateOptions = ({ deadline, options, projection }) => ({
+  ...updateOptionsBase,
+  ...options,
+  ...getMaxTime(deadline),
+
+  select: projection
+});
+
 /* Response format:
  * {
  *    result: {} or [] or value
  *      or
  *    error: {
- *        message: "details"
+ *        code:    "VALIDATION",
+ *        message: "details",
+ *        details: {} // optional
  *    }
  * }
  *
  */
 
-const buildError  = pipe(pick(['message']), objOf('error'));
+const errorCodes = values(ErrorCodes);
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY = 11000;
+
+// Typed errors thrown by models keep their code, errors of Mongo drivers are
+// mapped to the closest one
+function getErrorCode({ code, name }) {
+  if (includes(code, errorCodes))
+    return code;
+  if (code === DUPLICATE_KEY)
+    return ErrorCodes.Conflict;
+  if (name === 'ValidationError')
+    return ErrorCodes.Validation;
+
+  return ErrorCodes.Internal;
+}
+
+const buildError = pipe(
+  err => ({
+    code: getErrorCode(err),
+
+    ...pick(['message', 'details'], err)
+  }),
+  objOf('error')
+);
 const buildResult = objOf('result');
 
-const exec = curry((emit, publish, process, msg, replyTo) => {
+// Outcome of objects not created as an ordered create failed before them
+const skipped = {
+  error: {
+    code:    ErrorCodes.Skipped,
+    message: 'not created after a previous failure'
+  }
+};
+
+// Array creates can reply an outcome per object instead of failing as a whole
+const wantsItemResults = msg => is(Array, msg.object) &&
+  path(['options', 'itemResults'], msg) === true;
+
+const toArray = x => is(Array, x) ? x : [x].filter(is(Object));
+
+// Models report matched counts either Mongo driver 3.x or 4.x style
+const getMatchedCount = result => isNil(path(['n'], result))
+  ? path(['matchedCount'], result)
+  : result.n;
+
+// Created entities start at version 1, like ones upserted with `$inc`
+const withVersion = object => is(Object, object) &&
+  isNil(path(['metadata', 'version'], object))
+  ? { ...object, metadata: { ...object.metadata, version: 1 } }
+  : object;
+
+// Soft deletes are updates that set `metadata.deleted`
+const isSoftDelete = object =>
+  isNotNil(path(['$currentDate', DELETED], object)) ||
+  isNotNil(path(['$set', DELETED], object));
+
+// NB: `subject` is an optional argument past curried arity
+const exec = curryN(6, (
+  emit, expire, deadLetter, publish, process, msg, replyTo, subject
+) => {
   if (isNot(String, msg))
     return reject `msg must be a string`;
 
-  // emits an error either on parse or on process
+  const deadLetterMsg = err => deadLetter(err, msg, subject);
+
+  // Publish a response only when `replyTo` is set
+  const respond = when(pipe(always(replyTo), isNotNil),
+    pipe(
+      thenP2(buildResult, buildError),
+      thenP(JSON.stringify),
+      thenP(partial(publish, [replyTo]))
+    )
+  );
+
+  // Expired requests are neither processed further nor responded to
+  const skip = pipe(expire, () => Promise.resolve());
+
+  // emits an error on parse, dead letters the message either on parse or on
+  // process
   return pipe(
     tryCatch(JSON.parse, identity),
     ifElse(is(Error),
       pipe(
         Promise.reject.bind(Promise),
         tap(catchP(emit)),
-        catchP(buildError),
-        thenP(partial(publish, [replyTo]))
+        tap(catchP(deadLetterMsg)),
+        respond
       ),
-      pipe(
-        process,
-        // Publish a response only when `replyTo` is set
-        when(pipe(always(replyTo), isNotNil),
-          pipe(
-            thenP2(buildResult, buildError),
-            thenP(JSON.stringify),
-            thenP(partial(publish, [replyTo]))
-          )
-        )
-      )
+      pipe(toLocalDeadline, ifElse(isExpired,
+        skip,
+        request => {
+          const processed = Promise.resolve(process(request)).then(
+            result => respond(Promise.resolve(result)),
+            err => {
+              if (err instanceof DeadlineExceeded)
+                return skip(request);
+
+              deadLetterMsg(err);
+
+              return respond(Promise.reject(err));
+            }
+          );
+
+          // Failures without `replyTo` still reject, but are dead lettered
+          // instead of being left unhandled
+          processed.catch(identity);
+
+          return processed;
+        }
+      ))
     )
   )(msg);
 });
@@ -112,7 +290,13 @@ class Store extends EventEmitter {
     schema,
     transport,
 
-    getSubjects = _getSubjects
+    deadLetter  = false,
+    getSubjects = _getSubjects,
+    idempotency = undefined,
+    notify      = false,
+    validate    = true,
+
+    notifyBatchSize = 1000
   }) {
     super();
 
@@ -120,60 +304,367 @@ class Store extends EventEmitter {
     assertSchema(schema);
     assert(isNotNil(transport), 'transport must be set');
 
-    this._subscribe   = transport.subscribe.bind(transport);
-    this._unsubscribe = transport.unsubscribe.bind(transport);
+    const adapter = toTransportAdapter(transport);
+
+    this._subscribe   = adapter.subscribe.bind(adapter);
+    this._unsubscribe = adapter.unsubscribe.bind(adapter);
 
     this._subjects = getSubjects(schema.name);
 
     const model = buildModel(schema);
 
-    this._sids = [];
+    this._fields     = getFields(schema);
+    this._hasVersion = isNotNil(path(['metadata', 'version'], this._fields));
+
+    // Rejects objects not matching schema fields before they reach the model
+    this._validate = validate;
 
-    const publish = transport.publish.bind(transport);
+    this._model = model;
+    this._sids  = [];
+
+    const publish = adapter.publish.bind(adapter);
+
+    // Publishes committed changes unless disabled or unsupported by subjects
+    this._publish = publish;
+    this._notify  = notify;
+    // Maximum number of entities fetched and published at once
+    this._notifyBatchSize = notifyBatchSize;
     const emit    = this.emit.bind(this);
+    const expire  = partial(emit, [StoreEvents.DeadlineExceeded]);
+
+    // Repeated requests with the same idempotency key resolve the original
+    // result instead of being processed again. A repeated request may have
+    // expired while it waited for the original one.
+    this._idempotency = new IdempotencyCache(idempotency);
+
+    const idempotent = (method, process) => msg => {
+      const key = path(['idempotencyKey'], msg);
+
+      let repeated = true;
+
+      return this._idempotency.run(
+        isNil(key) ? undefined : `${method}:${key}`,
+        () => {
+          repeated = false;
+
+          return process(msg);
+        }
+      ).then(tap(() => repeated && assertNotExpired(msg)));
+    };
+
+    // Failed requests are republished to `dlq` subject when enabled
+    this._deadLetterEnabled = deadLetter && isNotNil(this._subjects.dlq);
+    const _deadLetter       = this._deadLetter.bind(this);
 
     this._onCount = exec(
       partial(emit, [StoreEvents.CountError]),
+      expire,
+      _deadLetter,
       publish,
-      pipe(propOr({}, 'conditions'), model.count.bind(model))
+      liftN2(model.count.bind(model))(
+        propOr({}, 'conditions'),
+        getModelOptions
+      )
     );
 
     this._onCreate = exec(
       partial(emit, [StoreEvents.CreateError]),
+      expire,
+      _deadLetter,
       publish,
-      liftN2(model.create.bind(model))(
-        // `create` must tell the difference between a single object and an
-        // array and then project correctly
-        prop('object'),
-        prop('projection')
-      )
+      idempotent('create', pipe(msg => this._versionCreated(msg), ifElse(
+        wantsItemResults,
+        msg => this._createEach(msg),
+        pipe(
+          msg => Promise.resolve(msg).then(
+            tap(({ object }) => this._validateCreated(object))
+          ),
+          thenP(liftN3(model.create.bind(model))(
+            // `create` must tell the difference between a single object and
+            // an array and then project correctly
+            prop('object'),
+            prop('projection'),
+            getModelOptions
+          )),
+          thenP(tap(result => this._notifyCreated(result)))
+        )
+      )))
     );
 
     this._onFind = exec(
       partial(emit, [StoreEvents.FindError]),
+      expire,
+      _deadLetter,
       publish,
       liftN3(model.find.bind(model))(
         propOr({}, 'conditions'),
         prop('projection'),
-        prop('options')
+        getFindOptions
       )
     );
 
+    // `remove` is optional in the model contract
+    this._canRemove = is(Function, model.remove) &&
+      isNotNil(this._subjects.remove);
+
+    const remove = this._canRemove
+      ? model.remove.bind(model)
+      : () => reject `${schema.name} model does not support remove`;
+
+    this._onRemove = exec(
+      partial(emit, [StoreEvents.RemoveError]),
+      expire,
+      _deadLetter,
+      publish,
+      pipe(
+        liftN3(remove)(
+          prop('conditions'),
+          prop('projection'),
+          getModelOptions
+        ),
+        thenP(tap(result => this._notifyRemoved(result)))
+      )
+    );
+
+    const update = liftN3(model.update.bind(model))(
+      prop('conditions'),
+      prop('object'),
+      getUpdateOptions
+    );
+
     this._onUpdate = exec(
       partial(emit, [StoreEvents.UpdateError]),
+      expire,
+      _deadLetter,
       publish,
-      liftN3(model.update.bind(model))(
-        prop('conditions'),
-        prop('object'),
-        pipe(
-          prop('projection'),
-          objOf('select'),
-          merge(updateOptionsBase)
-        )
+      idempotent('update', _msg => Promise.resolve()
+        .then(() => this._validateUpdated(_msg.object))
+        .then(() => this._versionUpdated(_msg))
+        .then(msg => this._findUpdated(msg)
+          .then(tap(() => assertNotExpired(msg)))
+          .then(ids => update(this._pinUpdated(msg, ids))
+            .then(result => this._checkVersion(_msg, result))
+            .then(tap(result => this._notifyUpdated(msg, ids, result)))
+          ))
       )
     );
   }
 
+  _validateCreated(object) {
+    if (this._validate)
+      assertValid(validateCreate(this._fields, object));
+  }
+
+  _validateUpdated(object) {
+    if (this._validate)
+      assertValid(validateUpdate(this._fields, object));
+  }
+
+  _versionCreated(msg) {
+    if (!this._hasVersion || !is(Object, msg))
+      return msg;
+
+    const { object } = msg;
+
+    return {
+      ...msg,
+
+      object: is(Array, object) ? object.map(withVersion) : withVersion(object)
+    };
+  }
+
+  // Updates increment versions, and with `expectedVersion` only apply to
+  // entities of that version
+  _versionUpdated(msg) {
+    const { conditions, expectedVersion, object } = msg;
+
+    if (!this._hasVersion) {
+      if (isNotNil(expectedVersion))
+        throw new ValidationError('expectedVersion requires metadata.version');
+
+      return msg;
+    }
+
+    return {
+      ...msg,
+
+      conditions: isNil(expectedVersion)
+        ? conditions
+        : { ...conditions, [VERSION]: expectedVersion },
+      object: {
+        ...object,
+
+        $inc: { ...path(['$inc'], object), [VERSION]: 1 }
+      }
+    };
+  }
+
+  // Tells an update of an entity of other version from one of no entity
+  _checkVersion({ conditions, expectedVersion }, result) {
+    if (isNil(expectedVersion) || getMatchedCount(result) > 0)
+      return result;
+
+    return Promise.resolve(this._model.find(
+      conditions || {}, { _id: 1, [VERSION]: 1 }, { limit: 1 }
+    )).then(found => {
+      const entity = toArray(found)[0];
+
+      if (isNil(entity))
+        return result;
+
+      throw new ConflictError('version conflict', {
+        expectedVersion,
+
+        version: path(['metadata', 'version'], entity)
+      });
+    });
+  }
+
+  // Creates objects one by one, resolving `{ result }` or `{ error }` for each.
+  // Ordered creates stop at the first failure and skip the rest
+  async _createEach(msg) {
+    const { object: objects, options, projection } = msg;
+    const { ordered = true } = options;
+
+    const create = object => Promise.resolve()
+      .then(() => this._validateCreated(object))
+      .then(() => this._model.create(
+        object, projection, getModelOptions(msg)
+      ))
+      .then(buildResult, buildError);
+
+    let outcomes = [];
+
+    if (ordered)
+      for (const object of objects)
+        outcomes.push(outcomes.some(has('error'))
+          ? skipped
+          : await create(object)
+        );
+    else
+      outcomes = await Promise.all(objects.map(create));
+
+    const created = outcomes.filter(has('result')).map(prop('result'));
+
+    if (created.length > 0)
+      this._notifyCreated(created);
+
+    return outcomes;
+  }
+
+  // Resolves IDs of entities an update is about to modify, to notify about
+  // them once it is committed
+  _findUpdated(msg) {
+    if (!this._canNotify('updated') && !this._canNotify('deleted'))
+      return Promise.resolve([]);
+
+    const { multi } = getUpdateOptions(msg);
+
+    return Promise.resolve()
+      .then(() => this._model.find(
+        msg.conditions || {}, { _id: 1 }, multi ? {} : { limit: 1 }
+      ))
+      .then(found => toArray(found).map(prop('_id')))
+      .catch(err => {
+        this.emit(StoreEvents.NotifyError, err);
+
+        return [];
+      });
+  }
+
+  // Updates of a single entity are narrowed down to the one found, as the model
+  // might otherwise pick another one of several matching
+  _pinUpdated(msg, ids) {
+    if (ids.length !== 1 || getUpdateOptions(msg).multi)
+      return msg;
+
+    return { ...msg, conditions: { ...msg.conditions, _id: ids[0] } };
+  }
+
+  // Re-fetches entities by `_id` to publish them as stored, with server
+  // defaults and regardless of the request projection
+  _fetch(ids) {
+    return Promise.resolve(this._model.find({ _id: { $in: ids } }))
+      .then(toArray);
+  }
+
+  // Dead letters never fail requests, errors are emitted instead
+  _deadLetter(err, msg, subject) {
+    if (!this._deadLetterEnabled)
+      return;
+
+    const { error } = buildError(err);
+
+    Promise.resolve()
+      .then(() => this._publish(this._subjects.dlq[0], JSON.stringify({
+        error,
+        msg,
+        subject,
+
+        timestamp: Date.now()
+      })))
+      .catch(err => this.emit(StoreEvents.DeadLetterError, err));
+  }
+
+  _canNotify(event) {
+    return this._notify && isNotNil(this._subjects[event]);
+  }
+
+  _publishCommitted(event, entities) {
+    if (entities.length === 0)
+      return;
+
+    const object = entities.length === 1 ? entities[0] : entities;
+
+    return this._publish(this._subjects[event][0], JSON.stringify({ object }));
+  }
+
+  /* Publishes `items` in batches of at most `notifyBatchSize` entities, one
+   * after another. Each batch is turned into entities by `getEntities`, so
+   * that only a single batch is fetched at a time. Notifications never fail
+   * requests, errors are emitted instead.
+   */
+  _notifyWith(event, items, getEntities = identity) {
+    if (!this._canNotify(event))
+      return;
+
+    splitEvery(this._notifyBatchSize, items)
+      .reduce((published, batch) => published
+        .then(() => getEntities(batch))
+        .then(entities => this._publishCommitted(event, entities)),
+      Promise.resolve())
+      .catch(err => this.emit(StoreEvents.NotifyError, err));
+  }
+
+  _notifyCreated(result) {
+    this._notifyWith('created', toArray(result), entities => {
+      const ids = entities.map(prop('_id')).filter(isNotNil);
+
+      // Entities projected without `_id` cannot be re-fetched
+      if (ids.length < entities.length)
+        return entities;
+
+      return this._fetch(ids).then(
+        found => found.length > 0 ? found : entities
+      );
+    });
+  }
+
+  _notifyRemoved(result) {
+    this._notifyWith('deleted', toArray(result));
+  }
+
+  _notifyUpdated(msg, ids, result) {
+    const upsertedId = path(['upsertedId'], result) ||
+      path(['upserted', 0, '_id'], result);
+
+    const _ids = isNil(upsertedId) ? ids : [...ids, upsertedId];
+
+    this._notifyWith(isSoftDelete(msg.object) ? 'deleted' : 'updated',
+      _ids, batch => this._fetch(batch)
+    );
+  }
+
   open() {
     deepStrictEqual(this._sids, [], 'Store already opened');
 
@@ -187,6 +678,11 @@ class Store extends EventEmitter {
       ...this._subjects.update.map(
         sub => this._subscribe(sub, this._onUpdate))
     );
+
+    if (this._canRemove)
+      this._sids.push(...this._subjects.remove.map(
+        sub => this._subscribe(sub, this._onRemove)
+      ));
   }
 
   close() {
@@ -1,41 +1,99 @@
 'use strict';
 
+const {
+  curry
+} = require('ramda');
+
 const Prefixes = {
-  count:  'count',
-  create: 'create',
-  find:   'find',
-  update: 'update'
+  count:   'count',
+  create:  'create',
+  created: 'created',
+  delete:  'delete',
+  deleted: 'deleted',
+  dlq:     'dlq',
+  find:    'find',
+  remove:  'remove',
+  update:  'update',
+  updated: 'updated'
 };
 
 function getSubjects(name, { prefixes = Prefixes, suffix = '' } = {}) {
   const _name = name.toLowerCase();
 
+  // Custom prefixes that predate newer methods fall back to defaults
+  const _prefixes = { ...Prefixes, ...prefixes };
+
   const _suffix = (suffix != null && suffix !== '')
     ? `.${suffix}`
     : '';
 
   return Object.freeze({
     count: Object.freeze([
-      `${prefixes.count}.${_name}${_suffix}`,
-      `${prefixes.count}.${_name}${_suffix}.>`
+      `${_prefixes.count}.${_name}${_suffix}`,
+      `${_prefixes.count}.${_name}${_suffix}.>`
     ]),
     create: Object.freeze([
-      `${prefixes.create}.${_name}${_suffix}`,
-      `${prefixes.create}.${_name}${_suffix}.>`
+      `${_prefixes.create}.${_name}${_suffix}`,
+      `${_prefixes.create}.${_name}${_suffix}.>`
+    ]),
+    created: Object.freeze([
+      `${_prefixes.created}.${_name}${_suffix}`,
+      `${_prefixes.created}.${_name}${_suffix}.>`
+    ]),
+    delete: Object.freeze([
+      `${_prefixes.delete}.${_name}${_suffix}`,
+      `${_prefixes.delete}.${_name}${_suffix}.>`
+    ]),
+    deleted: Object.freeze([
+      `${_prefixes.deleted}.${_name}${_suffix}`,
+      `${_prefixes.deleted}.${_name}${_suffix}.>`
+    ]),
+    dlq: Object.freeze([
+      `${_prefixes.dlq}.${_name}${_suffix}`,
+      `${_prefixes.dlq}.${_name}${_suffix}.>`
     ]),
     find: Object.freeze([
-      `${prefixes.find}.${_name}${_suffix}`,
-      `${prefixes.find}.${_name}${_suffix}.>`
+      `${_prefixes.find}.${_name}${_suffix}`,
+      `${_prefixes.find}.${_name}${_suffix}.>`
+    ]),
+    remove: Object.freeze([
+      `${_prefixes.remove}.${_name}${_suffix}`,
+      `${_prefixes.remove}.${_name}${_suffix}.>`
     ]),
     update: Object.freeze([
-      `${prefixes.update}.${_name}${_suffix}`,
-      `${prefixes.update}.${_name}${_suffix}.>`
+      `${_prefixes.update}.${_name}${_suffix}`,
+      `${_prefixes.update}.${_name}${_suffix}.>`
+    ]),
+    updated: Object.freeze([
+      `${_prefixes.updated}.${_name}${_suffix}`,
+      `${_prefixes.updated}.${_name}${_suffix}.>`
     ])
   });
 }
 
+// Matches a subject against a NATS-style pattern, where `*` matches exactly one
+// token and a trailing `>` matches one or more tokens
+const matchSubject = curry((pattern, subject) => {
+  const patternTokens = pattern.split('.');
+  const subjectTokens = subject.split('.');
+
+  for (let i = 0; i < patternTokens.length; ++i) {
+    const token = patternTokens[i];
+
+    if (token === '>')
+      return subjectTokens.length > i;
+    if (i >= subjectTokens.length)
+      return false;
+    if (token !== '*' && token !== subjectTokens[i])
+      return false;
+  }
+
+  return patternTokens.length === subjectTokens.length;
+});
+
 module.exports = {
   getSubjects,
+  matchSubject,
 
   Prefixes
 };
@@ -0,0 +1,211 @@
+'use strict';
+
+const {
+  randomBytes
+} = require('crypto');
+
+const {
+  is,
+  isNil,
+  tryCatch
+} = require('ramda');
+
+const {
+  isAborted,
+  onAbort
+} = require('./abort');
+
+const {
+  AbortError
+} = require('./errors');
+
+const {
+  reject
+} = require('./reject');
+
+const {
+  matchSubject
+} = require('./subjects');
+
+const INBOX_PREFIX = '_INBOX.';
+
+class RequestTimeoutError extends Error {
+  constructor(timeout) {
+    super(`request timed out after ${timeout}ms`);
+    this.code = 'REQ_TIMEOUT';
+  }
+}
+
+// Wraps a Node-style callback API call in a Promise
+const callbackToPromise = fn => new Promise((resolve, reject) => fn(
+  err => isNil(err) ? resolve() : reject(err)
+));
+
+function createInbox() {
+  return `${INBOX_PREFIX}${randomBytes(12).toString('hex')}`;
+}
+
+/* Buses without message headers carry `replyTo` in an envelope. Payloads that
+ * are not envelopes, e.g. published by a plain client, are passed through as
+ * is.
+ */
+function encodeEnvelope(msg, replyTo) {
+  return JSON.stringify({ msg, replyTo });
+}
+
+const decodeEnvelope = tryCatch(
+  payload => {
+    const envelope = JSON.parse(payload);
+
+    return is(Object, envelope) && is(String, envelope.msg)
+      ? envelope
+      : { msg: payload };
+  },
+  (_, payload) => ({ msg: payload })
+);
+
+/* Keeps track of subscriptions for buses that deliver messages per bus-level
+ * subscription, e.g. an MQTT topic filter or a Redis pattern, that can be
+ * shared by several subjects. Messages are matched against subjects locally to
+ * preserve NATS wildcard semantics.
+ */
+class Subscriptions {
+  constructor() {
+    this._handle = 0;
+    this._subs   = new Map();
+  }
+
+  // Returns a new handle and whether `key` must be subscribed to on the bus
+  add(subject, key, callback) {
+    const isNew  = !this.has(key);
+    const handle = ++this._handle;
+
+    this._subs.set(handle, { callback, key, subject });
+
+    return { handle, isNew };
+  }
+
+  get(handle) {
+    return this._subs.get(handle);
+  }
+
+  has(key) {
+    for (const sub of this._subs.values())
+      if (sub.key === key)
+        return true;
+
+    return false;
+  }
+
+  // Returns bus-level key to unsubscribe from when no longer used, if any
+  remove(handle) {
+    const sub = this._subs.get(handle);
+    if (isNil(sub))
+      return null;
+
+    this._subs.delete(handle);
+
+    return this.has(sub.key) ? null : sub.key;
+  }
+
+  dispatch(key, subject, payload) {
+    const { msg, replyTo } = decodeEnvelope(payload);
+
+    for (const sub of [...this._subs.values()])
+      if ((isNil(key) || sub.key === key) && matchSubject(sub.subject, subject))
+        sub.callback(msg, replyTo, subject);
+  }
+}
+
+/* Transport adapter contract:
+ *
+ *   request(subject, msg, { signal, timeout }) -> Promise of a reply
+ *   publish(subject, msg, replyTo)     -> Promise
+ *   subscribe(subject, callback)       -> handle
+ *   unsubscribe(handle)
+ *   close()                            -> Promise
+ *
+ * `callback` is called with `(msg, replyTo, subject)`. Subjects use NATS
+ * syntax, i.e. `.` separated tokens with `*` and `>` wildcards, and are mapped
+ * by adapters to the underlying bus.
+ *
+ * Default `request` emulates request/reply by publishing with a unique reply-to
+ * subject, for buses that lack native support.
+ */
+class TransportAdapter {
+  createInbox() {
+    return createInbox();
+  }
+
+  request(subject, msg, { signal, timeout } = {}) {
+    return new Promise((resolve, reject) => {
+      if (isAborted(signal))
+        return reject(new AbortError());
+
+      let timer = null;
+
+      const inbox  = this.createInbox();
+      const handle = this.subscribe(inbox, reply => {
+        cancel();
+        resolve(reply);
+      });
+
+      // Stops waiting for a reply
+      const cancel = () => {
+        clearTimeout(timer);
+        removeAbortListener();
+        this.unsubscribe(handle);
+      };
+
+      if (!isNil(timeout))
+        timer = setTimeout(() => {
+          cancel();
+          reject(new RequestTimeoutError(timeout));
+        }, timeout);
+
+      const removeAbortListener = onAbort(signal, () => {
+        cancel();
+        reject(new AbortError());
+      });
+
+      Promise.resolve(this.ready(handle))
+        .then(() => this.publish(subject, msg, inbox))
+        .catch(err => {
+          cancel();
+          reject(err);
+        });
+    });
+  }
+
+  publish() {
+    return reject `publish is not implemented`;
+  }
+
+  subscribe() {
+    throw new Error('subscribe is not implemented');
+  }
+
+  unsubscribe() {
+    throw new Error('unsubscribe is not implemented');
+  }
+
+  // Resolves once subscription is confirmed by the bus
+  ready() {
+    return Promise.resolve();
+  }
+
+  close() {
+    return Promise.resolve();
+  }
+}
+
+module.exports = {
+  RequestTimeoutError,
+  Subscriptions,
+  TransportAdapter,
+
+  callbackToPromise,
+  createInbox,
+  decodeEnvelope,
+  encodeEnvelope
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+const {
+  always,
+  chain,
+  has,
+  is,
+  isEmpty,
+  isNil,
+  keys,
+  split,
+  toPairs,
+  unnest
+} = require('ramda');
+
+const {
+  ValidationError
+} = require('./errors');
+
+const {
+  isField,
+  isPlainObject
+} = require('./schema');
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+// Array positions in dotted update paths, e.g. `tags.0` or `tags.$`
+const ARRAY_POSITION = /^(\d+|\$)$/;
+
+const isValidDate = value => is(Date, value) || is(Number, value) ||
+  is(String, value)
+  ? !isNaN(new Date(value).getTime())
+  : false;
+
+// Values are checked as they arrive as JSON, so dates can be strings or
+// numbers and ObjectIds strings. Unknown types are left to the model.
+const checks = {
+  Boolean:  is(Boolean),
+  Date:     isValidDate,
+  Mixed:    always(true),
+  Number:   value => is(Number, value) && isFinite(value),
+  Object:   isPlainObject,
+  ObjectId: value => is(String, value)
+    ? OBJECT_ID.test(value)
+    : is(Object, value) && is(Function, value.toHexString),
+  String:   is(String)
+};
+
+const getTypeName = type => typeof type === 'function'
+  ? type.schemaName || type.name
+  : type;
+
+const toField = spec => !isNil(spec) && has('type', spec)
+  ? spec
+  : { type: spec };
+
+const joinPath = (prefix, key) => prefix === '' ? `${key}` : `${prefix}.${key}`;
+
+const requiredError = path => ({
+  kind:    'required',
+  message: `${path} is required`,
+  path
+});
+
+const typeError = (path, type) => ({
+  kind:    'type',
+  message: `${path} must be ${type}`,
+  path,
+  type
+});
+
+function validateNested(fields, value, path) {
+  if (!isNil(value) && !isPlainObject(value))
+    return [typeError(path, 'Object')];
+
+  // Missing nested objects are still checked for required fields
+  const object = isNil(value) ? {} : value;
+
+  return chain(
+    ([key, spec]) => validateValue(spec, object[key], joinPath(path, key)),
+    toPairs(fields)
+  );
+}
+
+function validateValue(spec, value, path) {
+  if (!isField(spec))
+    return validateNested(spec, value, path);
+
+  const { required = false, type } = toField(spec);
+
+  // Models apply defaults of missing required fields
+  if (isNil(value))
+    return required && !has('default', toField(spec))
+      ? [requiredError(path)]
+      : [];
+
+  if (is(Array, type)) {
+    if (!is(Array, value))
+      return [typeError(path, 'Array')];
+
+    return chain(
+      index => validateValue(type[0], value[index], joinPath(path, index)),
+      keys(value)
+    );
+  }
+
+  if (isNil(type) || (isPlainObject(type) && isEmpty(type)))
+    return [];
+
+  const name  = getTypeName(type);
+  const check = checks[name];
+
+  return isNil(check) || check(value) ? [] : [typeError(path, name)];
+}
+
+// Resolves the definition of a dotted path, or `undefined` for paths unknown
+// to the schema or within mixed fields
+function getSpec(fields, [key, ...rest]) {
+  if (!isPlainObject(fields) || !has(key, fields))
+    return undefined;
+
+  const spec = fields[key];
+
+  if (rest.length === 0)
+    return spec;
+  if (!isField(spec))
+    return getSpec(spec, rest);
+
+  const { type } = toField(spec);
+
+  if (!is(Array, type) || !ARRAY_POSITION.test(rest[0]))
+    return undefined;
+  if (rest.length === 1)
+    return type[0];
+
+  return isField(type[0]) ? undefined : getSpec(type[0], rest.slice(1));
+}
+
+// Returns `{ kind, message, path }` errors of `object` against schema `fields`
+const validateObject = (fields, object, path = '') =>
+  validateNested(fields, object, path);
+
+// Errors of array creates are prefixed with the index of the object
+function validateCreate(fields, object) {
+  if (!is(Array, object))
+    return validateObject(fields, object);
+
+  return unnest(object.map(
+    (item, index) => validateObject(fields, item, `${index}`)
+  ));
+}
+
+/* Returns errors of fields an update sets, i.e. `$set`, `$unset` and fields
+ * without an operator. Other operators are left to the model.
+ */
+function validateUpdate(fields, update) {
+  const assignments = chain(([key, value]) => {
+    if (key === '$set')
+      return toPairs(value);
+    if (key === '$unset')
+      return keys(value).map(path => [path, undefined]);
+
+    return key.startsWith('$') ? [] : [[key, value]];
+  }, toPairs(update || {}));
+
+  return chain(([path, value]) => {
+    const spec = getSpec(fields, split('.', path));
+
+    return spec === undefined ? [] : validateValue(spec, value, path);
+  }, assignments);
+}
+
+// Returns a copy of `object` with defaults of missing fields, nested ones
+// included. Function defaults are called, e.g. `Date.now`.
+function applyDefaults(fields, object) {
+  if (!isPlainObject(object))
+    return object;
+
+  return toPairs(fields).reduce((result, [key, spec]) => {
+    const value = result[key];
+
+    if (!isField(spec)) {
+      const nested = applyDefaults(spec, value === undefined ? {} : value);
+
+      return value === undefined && isEmpty(nested)
+        ? result
+        : { ...result, [key]: nested };
+    }
+
+    const field = toField(spec);
+
+    if (value !== undefined || !has('default', field))
+      return result;
+
+    return {
+      ...result,
+
+      [key]: typeof field.default === 'function'
+        ? field.default()
+        : field.default
+    };
+  }, object);
+}
+
+function assertValid(errors) {
+  if (errors.length > 0)
+    throw new ValidationError(
+      errors.map(({ message }) => message).join(', '),
+      { errors }
+    );
+}
+
+module.exports = {
+  applyDefaults,
+  assertValid,
+  validateCreate,
+  validateObject,
+  validateUpdate
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const {
+  EventEmitter
+} = require('events');
+
+const {
+  complement,
+  equals,
+  is,
+  isNil,
+  toPairs
+} = require('ramda');
+
+const {
+  matches,
+  project
+} = require('./query');
+
+const WatchEvents = {
+  Added:   'added',
+  Changed: 'changed',
+  Error:   'watch-error',
+  Ready:   'ready',
+  Removed: 'removed'
+};
+
+const isNotNil = complement(isNil);
+const toArray  = object => is(Array, object) ? object : [object];
+
+/* Result set of `conditions` kept up to date by applying provider entity events
+ * locally. Emits `added`, `changed` and `removed` with projected entities, both
+ * for the initial `find` and for later changes, and `ready` once the initial
+ * result set is loaded.
+ *
+ * NB: Events must carry persisted entities, i.e. provider `committedEvents`
+ *     option must be enabled.
+ */
+class LiveQuery extends EventEmitter {
+  constructor(provider, conditions, projection) {
+    super();
+
+    this._provider   = provider;
+    this._conditions = provider._mergeConditions(conditions);
+    this._projection = projection;
+
+    // Throws early on operators the local matcher does not support
+    matches(this._conditions, {});
+
+    this._entities = new Map();
+    // Events received before the initial result set is loaded
+    this._pending  = [];
+    this._ready    = false;
+    this._closed   = false;
+
+    this._listeners = {
+      create: (err, msg) => this._onEvent(err, msg, false),
+      delete: (err, msg) => this._onEvent(err, msg, true),
+      update: (err, msg) => this._onEvent(err, msg, false)
+    };
+
+    for (const [event, listener] of toPairs(this._listeners))
+      provider.on(event, listener);
+
+    provider.find(conditions, projection, { limit: Infinity }).then(
+      found => {
+        if (this._closed)
+          return;
+
+        for (const entity of found) {
+          this._entities.set(String(entity._id), entity);
+          this.emit(WatchEvents.Added, entity);
+        }
+
+        this._ready = true;
+
+        for (const [msg, deleted] of this._pending.splice(0))
+          this._apply(msg, deleted);
+
+        this.emit(WatchEvents.Ready, this.entities());
+      },
+      err => this.emit(WatchEvents.Error, err)
+    );
+  }
+
+  // Returns current projected entities
+  entities() {
+    return [...this._entities.values()];
+  }
+
+  close() {
+    if (this._closed)
+      return;
+
+    this._closed = true;
+
+    for (const [event, listener] of toPairs(this._listeners))
+      this._provider.removeListener(event, listener);
+
+    this._pending = [];
+  }
+
+  _onEvent(err, msg, deleted) {
+    if (this._closed)
+      return;
+    if (isNotNil(err))
+      return this.emit(WatchEvents.Error, err);
+
+    if (this._ready)
+      this._apply(msg, deleted);
+    else
+      this._pending.push([msg, deleted]);
+  }
+
+  _apply({ object } = {}, deleted) {
+    if (isNil(object))
+      return;
+
+    for (const entity of toArray(object)) {
+      // Entities without `_id` cannot be tracked
+      if (isNil(entity) || isNil(entity._id))
+        continue;
+
+      const id       = String(entity._id);
+      const previous = this._entities.get(id);
+
+      if (deleted || !matches(this._conditions, entity)) {
+        if (this._entities.delete(id))
+          this.emit(WatchEvents.Removed, previous);
+
+        continue;
+      }
+
+      const projected = project(this._projection, entity);
+
+      this._entities.set(id, projected);
+
+      if (isNil(previous))
+        this.emit(WatchEvents.Added, projected);
+      else if (!equals(previous, projected))
+        this.emit(WatchEvents.Changed, projected, previous);
+    }
+  }
+}
+
+module.exports = {
+  LiveQuery,
+  WatchEvents
+};
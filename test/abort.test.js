@@ -0,0 +1,279 @@
+'use strict';
+
+const {
+  EventEmitter
+} = require('events');
+
+const {
+  stub,
+  useFakeTimers
+} = require('sinon');
+
+const {
+  AbortError,
+  MemoryTransport,
+  MqttAdapter,
+  NatsAdapter,
+  Provider
+} = require('../');
+
+const {
+  isAborted,
+  onAbort
+} = require('../src/abort');
+
+const {
+  exec
+} = require('../src/provider');
+
+const {
+  getSubjects
+} = require('../src/subjects');
+
+const {
+  MqttClient
+} = require('./brokers');
+
+// Minimal `AbortController`-like signal, as it is not available in older nodes
+function createController() {
+  const emitter = new EventEmitter();
+
+  const signal = {
+    aborted: false,
+
+    addEventListener:    (event, fn) => emitter.on(event, fn),
+    removeEventListener: (event, fn) => emitter.removeListener(event, fn)
+  };
+
+  return {
+    emitter,
+    signal,
+
+    abort() {
+      signal.aborted = true;
+      emitter.emit('abort');
+    }
+  };
+}
+
+const schema = {
+  name: 'Schema',
+
+  fields: {}
+};
+
+const subjects = getSubjects(schema.name);
+
+function createProvider(request, options) {
+  return new Provider({
+    schema,
+    options,
+
+    transport: {
+      request,
+
+      subscribe()   {},
+      unsubscribe() {}
+    }
+  });
+}
+
+describe('abort', () => {
+  it('should check aborted signal', () => {
+    const { abort, signal } = createController();
+
+    expect(isAborted(undefined)).toBe(false);
+    expect(isAborted(signal)).toBe(false);
+
+    abort();
+
+    expect(isAborted(signal)).toBe(true);
+  });
+
+  it('should add and remove abort listener', () => {
+    const { emitter, signal } = createController();
+
+    const remove = onAbort(signal, () => {});
+
+    expect(emitter.listenerCount('abort')).toBe(1);
+
+    remove();
+
+    expect(emitter.listenerCount('abort')).toBe(0);
+    expect(onAbort(undefined, () => {})).toBeInstanceOf(Function);
+  });
+});
+
+describe('exec', () => {
+  it('should reject with already aborted signal', async() => {
+    const { abort, signal } = createController();
+    const request = stub();
+
+    abort();
+
+    await expect(exec(request, { timeout: 10 }, { a: 1 }, signal))
+      .rejects.toBeInstanceOf(AbortError);
+    expect(request.called).toBe(false);
+  });
+
+  it('should reject on abort and ignore late reply', async() => {
+    jest.useFakeTimers();
+
+    try {
+      const { abort, emitter, signal } = createController();
+      const request = stub();
+
+      const result = exec(request, { timeout: 10 }, { a: 1 }, signal);
+
+      abort();
+
+      await expect(result).rejects.toMatchObject({
+        message: 'query aborted',
+        name:    'AbortError',
+        query:   { a: 1 }
+      });
+
+      expect(jest.getTimerCount()).toBe(0);
+      expect(emitter.listenerCount('abort')).toBe(0);
+
+      // Late reply must not throw
+      request.firstCall.args[1](JSON.stringify({ result: 1 }));
+    }
+    finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should remove abort listener on reply', async() => {
+    const { emitter, signal } = createController();
+
+    const request = stub()
+      .callsArgWithAsync(1, JSON.stringify({ result: 1 }));
+
+    expect(await exec(request, { timeout: 10 }, {}, signal)).toBe(1);
+    expect(emitter.listenerCount('abort')).toBe(0);
+  });
+});
+
+describe('Provider', () => {
+  it('should pass signal to count', async() => {
+    const { abort, signal } = createController();
+    const provider = createProvider(stub());
+
+    const count = provider.count({}, { signal });
+
+    abort();
+
+    await expect(count).rejects.toBeInstanceOf(AbortError);
+  });
+
+  it('should pass signal to create', async() => {
+    const { abort, signal } = createController();
+
+    abort();
+
+    await expect(createProvider(stub()).create({}, {}, { signal }))
+      .rejects.toBeInstanceOf(AbortError);
+  });
+
+  it('should stop fetching batches when aborted', async() => {
+    const { abort, signal } = createController();
+
+    // Aborts once the first batch is fetched
+    const request = stub().callsFake((subject, msg, options, callback) =>
+      setImmediate(() => {
+        callback(JSON.stringify({ result: [{}] }));
+        abort();
+      })
+    );
+
+    const provider = createProvider(request, { batchSize: 1 });
+
+    await expect(provider.find({}, {}, { limit: 3, signal }))
+      .rejects.toBeInstanceOf(AbortError);
+    expect(request.calledOnce).toBe(true);
+    expect(request.firstCall.args[0]).toBe(subjects.find[0]);
+    // Signal is not sent as an option
+    expect(JSON.parse(request.firstCall.args[1]).options)
+      .toEqual({ limit: 1, skip: 0 });
+  });
+
+  it('should pass signal to updateById', async() => {
+    const { abort, signal } = createController();
+    const request = stub();
+
+    const updated = createProvider(request)
+      .updateById(1, { $set: { a: 1 } }, {}, { signal });
+
+    abort();
+
+    await expect(updated).rejects.toBeInstanceOf(AbortError);
+    expect(request.calledOnce).toBe(true);
+  });
+});
+
+describe('adapters', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+  });
+
+  afterEach(() => clock.restore());
+
+  function testAdapter(createAdapter) {
+    return async() => {
+      const { abort, emitter, signal } = createController();
+      const { adapter, countSubscriptions } = createAdapter();
+
+      const request = adapter.request('a', 'msg', { signal, timeout: 3000 });
+
+      abort();
+
+      await expect(request).rejects.toBeInstanceOf(AbortError);
+      expect(clock.countTimers()).toBe(0);
+      expect(countSubscriptions()).toBe(0);
+      expect(emitter.listenerCount('abort')).toBe(0);
+
+      await expect(adapter.request('a', 'msg', { signal, timeout: 3000 }))
+        .rejects.toBeInstanceOf(AbortError);
+    };
+  }
+
+  it('should stop NatsAdapter request on abort', testAdapter(() => {
+    const transport = new MemoryTransport();
+
+    return {
+      adapter:            new NatsAdapter(transport),
+      countSubscriptions: () => transport._subs.size
+    };
+  }));
+
+  it('should stop TransportAdapter request on abort', testAdapter(() => {
+    const adapter = new MqttAdapter(new MqttClient(new MemoryTransport()));
+
+    return {
+      adapter,
+      countSubscriptions: () => adapter._subs._subs.size
+    };
+  }));
+
+  it('should stop transport request when Provider aborts', async() => {
+    const { abort, signal } = createController();
+
+    const transport = new MemoryTransport();
+
+    const count = new Provider({
+      schema,
+      transport,
+
+      options: { timeout: 3000 }
+    }).count({}, { signal });
+
+    abort();
+
+    await expect(count).rejects.toBeInstanceOf(AbortError);
+    expect(clock.countTimers()).toBe(0);
+    expect(transport._subs.size).toBe(0);
+  });
+});
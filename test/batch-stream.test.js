@@ -0,0 +1,138 @@
+'use strict';
+
+const {
+  spy
+} = require('sinon');
+
+const {
+  createMemoryModel
+} = require('../');
+
+const {
+  batchStream
+} = require('../src/batch-stream');
+
+const schema = {
+  name: 'User',
+
+  fields: {}
+};
+
+const documents = [
+  { _id: '1', group: 'b', n: 1 },
+  { _id: '2', group: 'a', n: 2 },
+  { _id: '3', group: 'b', n: 3 },
+  { _id: '4', group: 'a', n: 4 },
+  { _id: '5', group: 'b', n: 5 }
+];
+
+function setup() {
+  const model = createMemoryModel(schema, { documents });
+
+  return spy(({ conditions, projection, options }) => model.find(
+    conditions, projection, options
+  ));
+}
+
+async function collect(stream) {
+  const result = [];
+
+  for await (const entity of stream)
+    result.push(entity);
+
+  return result;
+}
+
+describe('batchStream', () => {
+  it('should stream all pages by skip and limit', async() => {
+    const exec = setup();
+
+    expect(await collect(batchStream(exec, 2, {
+      conditions: {},
+      projection: { n: 1 }
+    }))).toEqual(documents.map(({ _id, n }) => ({ _id, n })));
+
+    expect(exec.callCount).toBe(3);
+    expect(exec.thirdCall.args[0].options).toMatchObject({
+      limit: 2,
+      skip:  4
+    });
+  });
+
+  it('should stop at limit', async() => {
+    const exec = setup();
+
+    expect(await collect(batchStream(exec, 2, {
+      conditions: { group: 'b' },
+      options:    { limit: 1 }
+    }))).toEqual([documents[0]]);
+
+    expect(exec.calledOnce).toBeTruthy();
+  });
+
+  it('should page by _id', async() => {
+    const exec = setup();
+
+    expect(await collect(batchStream(exec, 2, {
+      conditions: {},
+      options:    { keyset: true, sort: { _id: -1 } }
+    }))).toEqual([...documents].reverse());
+
+    expect(exec.secondCall.args[0]).toMatchObject({
+      conditions: { $and: [{}, { _id: { $lt: '4' } }] },
+      options:    { limit: 2, sort: { _id: -1 } }
+    });
+  });
+
+  it('should page by a non-unique field', async() => {
+    const exec = setup();
+
+    expect(await collect(batchStream(exec, 2, {
+      conditions: {},
+      projection: { _id: 0, n: 1 },
+      options:    { keyset: 'group' }
+    }))).toEqual([{ n: 2 }, { n: 4 }, { n: 1 }, { n: 3 }, { n: 5 }]);
+
+    expect(exec.secondCall.args[0]).toMatchObject({
+      conditions: {
+        $and: [{}, {
+          $or: [
+            { group: { $gt: 'a' } },
+            { group: 'a', _id: { $gt: '4' } }
+          ]
+        }]
+      },
+      projection: { n: 1, group: 1 },
+      options:    { sort: { group: 1, _id: 1 } }
+    });
+  });
+
+  it('should fetch excluded keys and strip them', async() => {
+    const exec = setup();
+
+    expect(await collect(batchStream(exec, 3, {
+      conditions: {},
+      projection: { _id: 0, group: 0 },
+      options:    { keyset: 'group', limit: 2 }
+    }))).toEqual([{ n: 2 }, { n: 4 }]);
+
+    expect(exec.firstCall.args[0].projection).toEqual({});
+  });
+
+  it('should fetch pages on demand', done => {
+    const exec   = setup();
+    const stream = batchStream(exec, 1, { conditions: {} });
+
+    stream.once('readable', () => setTimeout(() => {
+      expect(exec.callCount).toBeLessThan(documents.length);
+
+      stream.destroy();
+
+      done();
+    }, 10));
+  });
+
+  it('should emit errors', () => expect(collect(batchStream(
+    () => Promise.reject(new Error('find failed')), 2, { conditions: {} }
+  ))).rejects.toThrow('find failed'));
+});
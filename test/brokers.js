@@ -0,0 +1,251 @@
+'use strict';
+
+const {
+  EventEmitter
+} = require('events');
+
+const {
+  TextDecoder,
+  TextEncoder
+} = require('util');
+
+const {
+  is,
+  isNil
+} = require('ramda');
+
+const {
+  MemoryTransport,
+  Provider,
+  Store
+} = require('../');
+
+const decoder = new TextDecoder();
+const encoder = new TextEncoder();
+
+// Stand-in for nats.js v2 connection on top of an in-process transport
+function natsV2Connection(transport = new MemoryTransport()) {
+  return {
+    request(subject, data, { timeout = 1000 } = {}) {
+      return new Promise((resolve, reject) => transport.request(
+        subject, decoder.decode(data), { max: 1, timeout }, reply => is(
+          Error, reply
+        )
+          ? reject(reply)
+          : resolve({ data: encoder.encode(reply) })
+      ));
+    },
+
+    publish(subject, data, { reply } = {}) {
+      transport.publish(subject, decoder.decode(data), reply);
+    },
+
+    subscribe(subject, { callback }) {
+      const sid = transport.subscribe(subject, (msg, reply, _subject) => {
+        callback(null, {
+          data:    encoder.encode(msg),
+          reply:   reply || '',
+          subject: _subject
+        });
+      });
+
+      return {
+        unsubscribe: () => transport.unsubscribe(sid)
+      };
+    },
+
+    close() {
+      return Promise.resolve();
+    }
+  };
+}
+
+const MQTT_WILDCARDS = {
+  '+': '*',
+  '#': '>'
+};
+
+const toMqttSubject = topic => topic
+  .split('/')
+  .map(token => MQTT_WILDCARDS[token] || token)
+  .join('.');
+
+// A trailing `#` also matches the parent level, unlike a trailing `>`
+const toMqttSubjects = topic => topic.endsWith('/#')
+  ? [toMqttSubject(topic), toMqttSubject(topic.slice(0, -2))]
+  : [toMqttSubject(topic)];
+
+/* Stand-in for MQTT.js client on top of an in-process transport. Like some
+ * brokers do, e.g. Mosquitto, a message is delivered once per matching filter.
+ */
+class MqttClient extends EventEmitter {
+  constructor(transport) {
+    super();
+
+    this._sids      = new Map();
+    this._transport = transport;
+  }
+
+  publish(topic, payload, _, cb) {
+    this._transport.publish(topic.split('/').join('.'), payload, () => cb());
+  }
+
+  subscribe(topic, _, cb) {
+    if (!this._sids.has(topic))
+      this._sids.set(topic, toMqttSubjects(topic).map(
+        subject => this._transport.subscribe(subject, (msg, _, _subject) =>
+          this.emit('message', _subject.split('.').join('/'), Buffer.from(msg))
+        )
+      ));
+
+    setImmediate(cb, null, [{ topic, qos: 0 }]);
+  }
+
+  unsubscribe(topic) {
+    for (const sid of this._sids.get(topic) || [])
+      this._transport.unsubscribe(sid);
+
+    this._sids.delete(topic);
+  }
+
+  end(_, cb) {
+    setImmediate(cb);
+  }
+}
+
+const GLOB_TOKENS = {
+  '*': '.*',
+  '?': '.'
+};
+
+const globToRegExp = pattern => new RegExp(`^${pattern.replace(
+  /\\(.)|[*?]|[.+^${}()|[\]]/g,
+  (token, escaped) => GLOB_TOKENS[token] ||
+    `\\${isNil(escaped) ? token : escaped}`
+)}$`);
+
+// Stand-in for Redis server with node-redis v3 style clients
+class RedisBroker {
+  constructor() {
+    this._subscribers = new Set();
+  }
+
+  createClient() {
+    const broker   = this;
+    const client   = new EventEmitter();
+    const patterns = new Set();
+
+    client.psubscribe = (pattern, cb) => {
+      patterns.add(pattern);
+      broker._subscribers.add(client);
+
+      setImmediate(cb, null, pattern);
+    };
+
+    client.punsubscribe = pattern => patterns.delete(pattern);
+
+    client.publish = (channel, message, cb) => {
+      let count = 0;
+
+      for (const subscriber of broker._subscribers)
+        for (const pattern of subscriber._patterns)
+          if (globToRegExp(pattern).test(channel)) {
+            ++count;
+            setImmediate(() => subscriber.emit(
+              'pmessage', pattern, channel, message
+            ));
+          }
+
+      setImmediate(cb, null, count);
+    };
+
+    client.quit = cb => {
+      broker._subscribers.delete(client);
+
+      setImmediate(cb, null, 'OK');
+    };
+
+    client._patterns = patterns;
+
+    return client;
+  }
+}
+
+/* Runs Provider and Store against each other over transports returned by
+ * `createTransports`, which must return `{ provider, store }`.
+ */
+function testProviderStore(createTransports) {
+  const schema = {
+    name: 'User',
+
+    fields: {}
+  };
+
+  function setup() {
+    const transports = createTransports();
+
+    const store = new Store({
+      schema,
+
+      buildModel: () => ({
+        count:  () => Promise.resolve(7),
+        create: object => Promise.resolve({ ...object, _id: 1 }),
+        find:   () => Promise.resolve([]),
+        update: () => Promise.reject(new Error('update failed'))
+      }),
+
+      transport: transports.store
+    });
+
+    store.open();
+
+    const provider = new Provider({
+      schema,
+
+      transport: transports.provider,
+
+      options: {
+        timeout: 100
+      }
+    });
+
+    // Give buses that confirm subscriptions asynchronously time to settle
+    return new Promise(resolve => setTimeout(resolve, 10, provider));
+  }
+
+  it('should count', () => setup()
+    .then(provider => provider.countAll())
+    .then(count => expect(count).toBe(7)));
+
+  it('should create', () => setup()
+    .then(provider => provider.create({ a: 1 }, { a: 1 }))
+    .then(res => expect(res).toMatchObject({ a: 1, _id: 1 })));
+
+  it('should reject with store error', () => expect(setup()
+    .then(provider => provider.updateById(1, { a: 1 }, { a: 1 }))
+  ).rejects.toThrow('update failed'));
+
+  it('should notify about creates', () => setup().then(provider =>
+    new Promise((resolve, reject) => {
+      provider.on('create', (err, msg) => {
+        expect(err).toBeNull();
+        expect(msg).toMatchObject({ object: { a: 2 } });
+
+        provider.removeAllListeners('create');
+
+        resolve();
+      });
+
+      setTimeout(() => provider.create({ a: 2 }, { a: 1 }).catch(reject), 10);
+    })
+  ));
+}
+
+module.exports = {
+  MqttClient,
+  RedisBroker,
+
+  globToRegExp,
+  natsV2Connection,
+  testProviderStore
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+const {
+  EventEmitter
+} = require('events');
+
+const {
+  createMemoryModel,
+  MemoryTransport,
+  Provider,
+  Store
+} = require('../');
+
+const {
+  ChangeIterator
+} = require('../src/changes');
+
+describe('ChangeIterator', () => {
+  it('should yield queued and pending events', async() => {
+    const emitter  = new EventEmitter();
+    const iterator = new ChangeIterator(emitter, ['a', 'b']);
+
+    emitter.emit('a', null, 1);
+
+    expect(await iterator.next()).toEqual({
+      value: { event: 'a', err: null, msg: 1 },
+      done:  false
+    });
+
+    const pending = iterator.next();
+
+    emitter.emit('b', new Error('failed'));
+
+    expect((await pending).value.err.message).toBe('failed');
+  });
+
+  it('should remove listeners on return', async() => {
+    const emitter  = new EventEmitter();
+    const iterator = new ChangeIterator(emitter, ['a']);
+
+    const pending = iterator.next();
+
+    expect(await iterator.return(1)).toEqual({ value: 1, done: true });
+    expect(await pending).toEqual({ value: undefined, done: true });
+    expect(await iterator.next()).toEqual({ value: undefined, done: true });
+
+    expect(emitter.listenerCount('a')).toBe(0);
+  });
+
+  it('should remove listeners on throw', async() => {
+    const emitter  = new EventEmitter();
+    const iterator = new ChangeIterator(emitter, ['a']);
+
+    await expect(iterator.throw(new Error('failed'))).rejects.toThrow('failed');
+
+    expect(emitter.listenerCount('a')).toBe(0);
+  });
+});
+
+describe('Provider', () => {
+  const schema = {
+    name: 'User',
+
+    fields: {}
+  };
+
+  function setup() {
+    const transport = new MemoryTransport();
+
+    new Store({
+      schema,
+      transport,
+
+      buildModel: createMemoryModel
+    }).open();
+
+    const provider = new Provider({
+      schema,
+      transport,
+
+      options: {
+        batchSize: 1
+      }
+    });
+
+    return { provider, transport };
+  }
+
+  it('should iterate found entities', async() => {
+    const { provider } = setup();
+
+    await provider.create([{ a: 1 }, { a: 2 }], { _id: 1 });
+
+    const found = [];
+    for await (const { a } of provider.iterate({}, { _id: 0, a: 1 }))
+      found.push(a);
+
+    expect(found).toEqual([1, 2]);
+  });
+
+  it('should iterate changes and unsubscribe on break', async() => {
+    const { provider, transport } = setup();
+
+    const subscriptions = transport._subs.size;
+
+    const changes = provider.changes();
+
+    expect(transport._subs.size).toBe(subscriptions + 4);
+
+    const created = new Promise(resolve => setImmediate(
+      () => resolve(provider.create({ a: 1 }, { _id: 1 }))
+    ));
+
+    const received = [];
+    for await (const { event, err, msg } of changes) {
+      received.push({ event, err, msg });
+
+      if (event === 'create')
+        break;
+    }
+
+    await created;
+
+    expect(received).toMatchObject([
+      { event: 'create', err: null, msg: { object: { a: 1 } } }
+    ]);
+    expect(transport._subs.size).toBe(subscriptions);
+  });
+
+  it('should iterate delete events', async() => {
+    const { provider } = setup();
+
+    const { _id } = await provider.create({ a: 1 }, { _id: 1 });
+
+    const changes = provider.changes({ events: ['delete'] });
+
+    await provider.deleteById(_id, { _id: 1 });
+
+    const { value } = await changes.next();
+
+    await changes.return();
+
+    expect(value).toMatchObject({
+      event: 'delete',
+      err:   null,
+      msg:   { object: { _id } }
+    });
+  });
+
+  it('should deliver events once to every listener', async() => {
+    const { provider, transport } = setup();
+
+    const subscriptions = transport._subs.size;
+
+    const listened = [];
+    const listener = (_, msg) => listened.push(msg);
+
+    provider.on('create', listener);
+
+    const changes = provider.changes({ events: ['create'] });
+
+    // Listeners of the same event share its subscriptions
+    expect(transport._subs.size).toBe(subscriptions + 2);
+
+    await provider.create({ a: 1 }, { _id: 1 });
+    await provider.create({ a: 2 }, { _id: 1 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const received = [
+      (await changes.next()).value.msg,
+      (await changes.next()).value.msg
+    ];
+
+    await changes.return();
+
+    expect(received).toMatchObject([
+      { object: { a: 1 } },
+      { object: { a: 2 } }
+    ]);
+    expect(listened).toEqual(received);
+    expect(transport._subs.size).toBe(subscriptions + 2);
+
+    provider.off('create', listener);
+
+    expect(transport._subs.size).toBe(subscriptions);
+  });
+
+  it('should throw with unsupported events', () => {
+    const { provider } = setup();
+
+    expect(() => provider.changes({ events: [] })).toThrow();
+    expect(() => provider.changes({ events: ['a'] })).toThrow();
+  });
+});
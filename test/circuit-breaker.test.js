@@ -0,0 +1,197 @@
+'use strict';
+
+const {
+  spy,
+  stub,
+  useFakeTimers
+} = require('sinon');
+
+const {
+  AbortError,
+  CircuitOpenError,
+  createMemoryModel,
+  MemoryTransport,
+  Provider,
+  Store,
+  StoreError
+} = require('../');
+
+const {
+  CircuitBreaker
+} = require('../src/circuit-breaker');
+
+const failure = new Error('failed');
+
+describe('CircuitBreaker', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = useFakeTimers();
+  });
+
+  afterEach(() => clock.restore());
+
+  function setup() {
+    const onClose = spy();
+    const onOpen  = spy();
+
+    const breaker = new CircuitBreaker({ threshold: 2, resetTimeout: 100 }, {
+      onClose,
+      onOpen
+    });
+
+    return { breaker, onClose, onOpen };
+  }
+
+  const fail = breaker => breaker.exec(() => Promise.reject(failure))
+    .catch(err => err);
+
+  it('should open after consecutive failures', async() => {
+    const { breaker, onOpen } = setup();
+
+    await fail(breaker);
+    expect(breaker.state).toBe('closed');
+
+    await fail(breaker);
+    expect(breaker.state).toBe('open');
+    expect(onOpen.args).toEqual([[2]]);
+
+    const fn = stub().resolves(1);
+
+    await expect(breaker.exec(fn, { a: 1 })).rejects
+      .toBeInstanceOf(CircuitOpenError);
+    expect(fn.called).toBeFalsy();
+  });
+
+  it('should not count Store errors', async() => {
+    const { breaker } = setup();
+
+    await fail(breaker);
+    await breaker.exec(() => Promise.reject(new StoreError('failed')))
+      .catch(err => err);
+    await fail(breaker);
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('should close after a successful probe', async() => {
+    const { breaker, onClose } = setup();
+
+    await fail(breaker);
+    await fail(breaker);
+
+    clock.tick(100);
+
+    let resolveProbe;
+    const probe = breaker.exec(() => new Promise(resolve => {
+      resolveProbe = resolve;
+    }));
+
+    // Only a single probe is let through
+    expect(breaker.state).toBe('half-open');
+    await expect(breaker.exec(() => Promise.resolve())).rejects
+      .toBeInstanceOf(CircuitOpenError);
+
+    resolveProbe(1);
+
+    expect(await probe).toBe(1);
+    expect(breaker.state).toBe('closed');
+    expect(onClose.calledOnce).toBeTruthy();
+  });
+
+  it('should open again after a failed probe', async() => {
+    const { breaker, onOpen } = setup();
+
+    await fail(breaker);
+    await fail(breaker);
+
+    clock.tick(100);
+
+    await fail(breaker);
+
+    expect(breaker.state).toBe('open');
+    expect(onOpen.calledOnce).toBeTruthy();
+  });
+
+  it('should not count aborts', async() => {
+    const { breaker, onClose, onOpen } = setup();
+
+    const abort = () => breaker.exec(() => Promise.reject(new AbortError()))
+      .catch(err => err);
+
+    await fail(breaker);
+    await abort();
+    await fail(breaker);
+
+    expect(breaker.state).toBe('open');
+
+    clock.tick(100);
+
+    // An aborted probe lets another one through
+    await abort();
+
+    expect(breaker.state).toBe('open');
+    expect(await breaker.exec(() => Promise.resolve(1))).toBe(1);
+    expect(breaker.state).toBe('closed');
+    expect(onOpen.calledOnce).toBeTruthy();
+    expect(onClose.calledOnce).toBeTruthy();
+  });
+});
+
+describe('Provider', () => {
+  const schema = {
+    name: 'User',
+
+    fields: {}
+  };
+
+  let clock;
+
+  beforeEach(() => {
+    clock = useFakeTimers();
+  });
+
+  afterEach(() => clock.restore());
+
+  it('should fail fast while store is down', async() => {
+    const transport = new MemoryTransport();
+
+    const provider = new Provider({
+      schema,
+      transport,
+
+      options: {
+        circuitBreaker: { threshold: 1, resetTimeout: 50 },
+        timeout:        20
+      }
+    });
+
+    const events = [];
+    provider.on('circuit-open', () => events.push('open'));
+    provider.on('circuit-close', () => events.push('close'));
+
+    const timedOut = expect(provider.countAll()).rejects
+      .toThrow('query timeout');
+
+    await clock.tickAsync(20);
+    await timedOut;
+
+    await expect(provider.countAll()).rejects.toThrow('circuit open');
+
+    new Store({
+      schema,
+      transport,
+
+      buildModel: createMemoryModel
+    }).open();
+
+    clock.tick(50);
+
+    const counted = expect(provider.countAll()).resolves.toBe(0);
+
+    await clock.runAllAsync();
+    await counted;
+
+    expect(events).toEqual(['open', 'close']);
+  });
+});
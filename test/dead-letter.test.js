@@ -0,0 +1,148 @@
+'use strict';
+
+const {
+  createMemoryModel,
+  DeadLetterQueue,
+  getSubjects,
+  MemoryTransport,
+  Provider,
+  Store
+} = require('../');
+
+const schema = {
+  name: 'User',
+
+  fields: {}
+};
+
+const subjects = getSubjects(schema.name);
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+// Resolves once Store dead letters a request, i.e. after the queue received it
+const deadLettered = transport => new Promise(resolve => {
+  const sid = transport.subscribe(subjects.dlq[0], () => {
+    transport.unsubscribe(sid);
+    resolve();
+  });
+});
+
+function setup({ deadLetter = true, limit } = {}) {
+  const transport = new MemoryTransport();
+
+  const model = createMemoryModel(schema);
+  const create = model.create;
+
+  // Fails creates until fixed
+  const state = { broken: true };
+
+  model.create = (...args) => state.broken
+    ? Promise.reject(new Error('broken'))
+    : create(...args);
+
+  new Store({
+    deadLetter,
+    schema,
+    transport,
+
+    buildModel: () => model
+  }).open();
+
+  const queue = new DeadLetterQueue({ limit, schema, transport });
+
+  queue.open();
+
+  const provider = new Provider({ schema, transport });
+
+  return { model, provider, queue, state, transport };
+}
+
+describe('DeadLetterQueue', () => {
+  it('should collect failed requests', async() => {
+    const { provider, queue, transport } = setup();
+
+    transport.publish(subjects.create[0], '{');
+    await provider.create({ a: 1 }, { _id: 1 }).catch(() => {});
+
+    await tick();
+
+    expect(queue.list()).toEqual([
+      {
+        error:     { code: 'INTERNAL', message: expect.any(String) },
+        msg:       '{',
+        subject:   subjects.create[0],
+        timestamp: expect.any(Number)
+      },
+      {
+        error:     { code: 'INTERNAL', message: 'broken' },
+        msg:       expect.stringContaining('"a":1'),
+        subject:   subjects.create[0],
+        timestamp: expect.any(Number)
+      }
+    ]);
+  });
+
+  it('should replay requests without deadline', async() => {
+    const { model, provider, queue, state } = setup();
+
+    await provider.create({ a: 1 }, { _id: 1 }).catch(() => {});
+    await tick();
+
+    state.broken = false;
+
+    const replayed = await queue.replay();
+
+    await tick();
+
+    expect(replayed).toHaveLength(1);
+    expect(queue.list()).toEqual([]);
+    expect(model.documents).toMatchObject([{ a: 1 }]);
+  });
+
+  it('should dead letter replayed requests failing again', async() => {
+    const { provider, queue, transport } = setup();
+
+    const failed = deadLettered(transport);
+    await provider.create({ a: 1 }, { _id: 1 }).catch(() => {});
+    await failed;
+
+    const failedAgain = deadLettered(transport);
+    await queue.replay(({ subject }) => subject === subjects.create[0]);
+    await failedAgain;
+
+    expect(queue.list()).toHaveLength(1);
+  });
+
+  it('should keep latest requests up to limit', async() => {
+    const { provider, queue } = setup({ limit: 1 });
+
+    await provider.create({ a: 1 }, { _id: 1 }).catch(() => {});
+    await provider.create({ a: 2 }, { _id: 1 }).catch(() => {});
+    await tick();
+
+    expect(queue.list()).toMatchObject([{ msg: expect.stringContaining('2') }]);
+
+    queue.clear();
+
+    expect(queue.list()).toEqual([]);
+  });
+
+  it('should not dead letter when disabled', async() => {
+    const { provider, queue } = setup({ deadLetter: false });
+
+    await provider.create({ a: 1 }, { _id: 1 }).catch(() => {});
+    await tick();
+
+    expect(queue.list()).toEqual([]);
+  });
+
+  it('should throw when opened twice', () => {
+    const { queue } = setup();
+
+    expect(() => queue.open()).toThrow();
+
+    queue.close();
+
+    expect(() => queue.close()).toThrow();
+  });
+});
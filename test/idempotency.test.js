@@ -0,0 +1,181 @@
+'use strict';
+
+const {
+  stub,
+  useFakeTimers
+} = require('sinon');
+
+const {
+  createMemoryModel,
+  MemoryTransport,
+  Provider,
+  Store
+} = require('../');
+
+const {
+  IdempotencyCache
+} = require('../src/idempotency');
+
+describe('IdempotencyCache', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = useFakeTimers();
+  });
+
+  afterEach(() => clock.restore());
+
+  it('should resolve remembered results', async() => {
+    const cache = new IdempotencyCache();
+    const fn    = stub().resolves(1);
+
+    expect(await cache.run('a', fn)).toBe(1);
+    expect(await cache.run('a', fn)).toBe(1);
+    expect(fn.calledOnce).toBeTruthy();
+
+    expect(await cache.run(undefined, fn)).toBe(1);
+    expect(fn.calledTwice).toBeTruthy();
+  });
+
+  it('should forget failures', async() => {
+    const cache = new IdempotencyCache();
+    const fn    = stub();
+
+    fn.onFirstCall().rejects(new Error('failed'));
+    fn.onSecondCall().resolves(1);
+
+    await expect(cache.run('a', fn)).rejects.toThrow('failed');
+    expect(await cache.run('a', fn)).toBe(1);
+    expect(cache.size).toBe(1);
+  });
+
+  it('should forget results after ttl', async() => {
+    const cache = new IdempotencyCache({ ttl: 100 });
+    const fn    = stub().resolves(1);
+
+    await cache.run('a', fn);
+
+    clock.tick(100);
+
+    await cache.run('a', fn);
+
+    expect(fn.calledTwice).toBeTruthy();
+  });
+
+  it('should keep at most max keys', async() => {
+    const cache = new IdempotencyCache({ max: 1 });
+    const fn    = stub().resolves(1);
+
+    await cache.run('a', fn);
+    await cache.run('b', fn);
+    await cache.run('a', fn);
+
+    expect(fn.callCount).toBe(3);
+    expect(cache.size).toBe(1);
+  });
+});
+
+describe('Provider', () => {
+  const schema = {
+    name: 'User',
+
+    fields: {}
+  };
+
+  function setup() {
+    const transport = new MemoryTransport();
+
+    const model = createMemoryModel(schema);
+
+    new Store({
+      schema,
+      transport,
+
+      buildModel: () => model
+    }).open();
+
+    return { model, provider: new Provider({ schema, transport }) };
+  }
+
+  it('should create once per idempotency key', async() => {
+    const { model, provider } = setup();
+
+    const options = { idempotencyKey: 'a' };
+
+    const created = await provider.create({ a: 1 }, { _id: 1 }, options);
+
+    expect(await provider.create({ a: 1 }, { _id: 1 }, options))
+      .toEqual(created);
+    expect(model.documents).toHaveLength(1);
+  });
+
+  it('should update once per idempotency key', async() => {
+    const { model, provider } = setup();
+
+    const { _id } = await provider.create({ a: 1 }, { _id: 1 });
+
+    for (let i = 0; i < 2; ++i)
+      await provider.updateById(_id, { $inc: { a: 1 } }, { a: 1 }, {
+        idempotencyKey: 'a'
+      });
+
+    expect(model.documents).toMatchObject([{ a: 2 }]);
+  });
+
+  it('should retry creates with idempotency key only', async() => {
+    const request = stub().callsFake((subject, msg, options, callback) => {
+      // Replies to the retry of the second create only
+      if (request.callCount > 2)
+        setImmediate(() => callback(JSON.stringify({ result: { _id: 1 } })));
+    });
+
+    const provider = new Provider({
+      schema,
+
+      transport: {
+        request,
+
+        subscribe()   {},
+        unsubscribe() {}
+      },
+
+      options: {
+        retry:   { retries: 1, minDelay: 1, maxDelay: 1 },
+        timeout: 100
+      }
+    });
+
+    await expect(provider.create({}, {})).rejects.toThrow('query timeout');
+    expect(request.calledOnce).toBeTruthy();
+
+    expect(await provider.create({}, {}, { idempotencyKey: 'a' }))
+      .toEqual({ _id: 1 });
+
+    const [first, second] = request.args.slice(1)
+      .map(([, msg]) => JSON.parse(msg).idempotencyKey);
+
+    expect(first).toBe('a');
+    expect(second).toBe('a');
+  });
+
+  it('should generate idempotency keys for streamed creates', done => {
+    const request = stub().callsFake((subject, msg, options, callback) => {
+      expect(JSON.parse(msg).idempotencyKey).toMatch(/^[0-9a-f]{32}$/);
+
+      callback(JSON.stringify({ result: [] }));
+
+      done();
+    });
+
+    new Provider({
+      schema,
+
+      transport: {
+        request,
+
+        subscribe()   {},
+        unsubscribe() {}
+      }
+    }).write({ a: 1 });
+  });
+});
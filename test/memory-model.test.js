@@ -0,0 +1,426 @@
+'use strict';
+
+const {
+  PassThrough
+} = require('stream');
+
+const {
+  ConflictError,
+  createMemoryModel,
+  MemoryTransport,
+  Provider,
+  Store
+} = require('../');
+
+const schema = {
+  name: 'User',
+
+  fields: {
+    name: {
+      type: String
+    },
+
+    age: {
+      type: Number
+    },
+
+    metadata: {
+      deleted: {
+        type: Date
+      },
+
+      updated: {
+        type: Date
+      }
+    }
+  }
+};
+
+const documents = [
+  { _id: '1', name: 'a', age: 30 },
+  { _id: '2', name: 'b', age: 20 },
+  { _id: '3', name: 'c', age: 40 }
+];
+
+describe('createMemoryModel', () => {
+  it('should copy initial documents', () => {
+    const model = createMemoryModel(schema, { documents });
+
+    model.documents[0].name = 'x';
+
+    expect(documents[0].name).toBe('a');
+  });
+
+  describe('count', () => {
+    it('should count matching documents', async() => {
+      const model = createMemoryModel(schema, { documents });
+
+      expect(await model.count({})).toBe(3);
+      expect(await model.count({ age: { $gt: 25 } })).toBe(2);
+    });
+
+    it('should reject with unsupported operator', () => expect(
+      createMemoryModel(schema, { documents }).count({ age: { $mod: [2] } })
+    ).rejects.toThrow());
+  });
+
+  describe('create', () => {
+    it('should create an object', async() => {
+      const model = createMemoryModel(schema);
+
+      const created = await model.create({ name: 'a' }, { name: 1 });
+
+      expect(created._id).toMatch(/^[0-9a-f]{24}$/);
+      expect(created).toEqual({ _id: created._id, name: 'a' });
+      expect(model.documents).toHaveLength(1);
+    });
+
+    it('should create an array', async() => {
+      const model = createMemoryModel(schema);
+
+      const created = await model.create(
+        [{ name: 'a' }, { name: 'b' }], { _id: 0, name: 1 }
+      );
+
+      expect(created).toEqual([{ name: 'a' }, { name: 'b' }]);
+      expect(model.documents[0]._id < model.documents[1]._id).toBe(true);
+    });
+
+    it('should keep provided IDs', async() => {
+      const model = createMemoryModel(schema);
+
+      expect(await model.create({ _id: 'x' }, { _id: 1 }))
+        .toEqual({ _id: 'x' });
+    });
+
+    it('should reject duplicate IDs', async() => {
+      const model = createMemoryModel(schema, { documents });
+
+      await expect(model.create({ _id: '1' }, { _id: 1 }))
+        .rejects.toBeInstanceOf(ConflictError);
+    });
+  });
+
+  describe('find', () => {
+    const model = createMemoryModel(schema, { documents });
+
+    it('should find matching documents', async() => {
+      expect(await model.find({ age: { $lt: 35 } }, { name: 1 })).toEqual([
+        { _id: '1', name: 'a' },
+        { _id: '2', name: 'b' }
+      ]);
+    });
+
+    it('should apply exclusion projection', async() => {
+      expect(await model.find({ _id: '1' }, { age: 0 }))
+        .toEqual([{ _id: '1', name: 'a' }]);
+    });
+
+    it('should sort, skip and limit', async() => {
+      expect(await model.find({}, { _id: 1 }, {
+        sort:  { age: -1 },
+        skip:  1,
+        limit: 1
+      })).toEqual([{ _id: '1' }]);
+
+      expect(await model.find({}, { _id: 1 }, { sort: 'age', limit: 0 }))
+        .toEqual([{ _id: '2' }, { _id: '1' }, { _id: '3' }]);
+
+      expect(await model.find({}, { _id: 1 }, null)).toHaveLength(3);
+    });
+
+    it('should not leak documents', async() => {
+      const [found] = await model.find({ _id: '1' });
+
+      found.name = 'x';
+
+      expect(model.documents[0].name).toBe('a');
+    });
+  });
+
+  describe('remove', () => {
+    it('should remove matching documents', async() => {
+      const model = createMemoryModel(schema, { documents });
+
+      expect(await model.remove({ age: { $lt: 40 } }, { name: 1 }))
+        .toEqual([{ _id: '1', name: 'a' }, { _id: '2', name: 'b' }]);
+
+      expect(model.documents).toEqual([documents[2]]);
+    });
+  });
+
+  describe('update', () => {
+    it('should update the first matching document', async() => {
+      const model = createMemoryModel(schema, { documents });
+
+      expect(await model.update({}, { $set: { age: 1 } }))
+        .toMatchObject({ n: 1, nModified: 1 });
+
+      expect(model.documents.map(x => x.age)).toEqual([1, 20, 40]);
+    });
+
+    it('should update all matching documents with multi', async() => {
+      const model = createMemoryModel(schema, { documents });
+
+      expect(await model.update(
+        { age: { $gte: 30 } },
+        { $inc: { age: 1 }, $currentDate: { 'metadata.updated': true } },
+        { multi: true }
+      )).toMatchObject({ n: 2, nModified: 2 });
+
+      expect(model.documents.map(x => x.age)).toEqual([31, 20, 41]);
+      expect(model.documents[0].metadata.updated).toBeInstanceOf(Date);
+    });
+
+    it('should count unmodified documents', async() => {
+      const model = createMemoryModel(schema, { documents });
+
+      expect(await model.update(
+        { name: 'a' }, { $set: { age: 30 } }, { multi: true }
+      )).toMatchObject({ n: 1, nModified: 0 });
+    });
+
+    it('should upsert when nothing matches', async() => {
+      const model = createMemoryModel(schema, { documents });
+
+      const result = await model.update(
+        { name: 'd', age: { $gt: 50 } },
+        { $set: { age: 60 }, $setOnInsert: { 'metadata.updated': 0 } },
+        { upsert: true }
+      );
+
+      expect(result).toMatchObject({ n: 1, nModified: 0 });
+      expect(model.documents[3]).toEqual({
+        _id:      result.upserted[0]._id,
+        name:     'd',
+        age:      60,
+        metadata: { updated: 0 }
+      });
+
+      expect(await model.update({ name: 'd' }, { age: 61 }, { upsert: true }))
+        .toEqual({ n: 1, nModified: 1, ok: 1 });
+    });
+
+    it('should reject with unsupported operator', () => expect(
+      createMemoryModel(schema, { documents }).update({}, { $pop: { a: 1 } })
+    ).rejects.toThrow());
+  });
+
+  describe('with Provider and Store', () => {
+    function setup(batchSize) {
+      const transport = new MemoryTransport();
+
+      const model = createMemoryModel(schema, { documents });
+
+      new Store({
+        schema,
+        transport,
+
+        buildModel: () => model
+      }).open();
+
+      const provider = new Provider({
+        schema,
+        transport,
+
+        options: {
+          batchSize,
+
+          timeout: 100
+        }
+      });
+
+      return { model, provider };
+    }
+
+    const projection = { name: 1 };
+
+    it('should find in batches', async() => {
+      const { provider } = setup(2);
+
+      expect(await provider.findAll(projection)).toHaveLength(2);
+      expect(await provider.findAll(projection, { limit: 3 })).toHaveLength(3);
+      expect(await provider.findAll(projection, { limit: 1 })).toHaveLength(1);
+    });
+
+    it('should stream by keyset', async() => {
+      const { provider } = setup(2);
+
+      const names = [];
+      for await (const { name } of provider.findStream({}, projection, {
+        keyset: 'name',
+        sort:   { name: -1 }
+      }))
+        names.push(name);
+
+      expect(names).toEqual(['c', 'b', 'a']);
+    });
+
+    it('should create and find by ID', async() => {
+      const { provider } = setup();
+
+      const { _id } = await provider.create({ name: 'd' }, projection);
+
+      expect(await provider.findById(_id, projection))
+        .toEqual({ _id, name: 'd' });
+    });
+
+    it('should update by ID', async() => {
+      const { model, provider } = setup();
+
+      expect(await provider.updateById(
+        '1', { $set: { name: 'x' } }, projection
+      )).toEqual({ _id: '1', name: 'x' });
+
+      expect(model.documents[0].metadata.updated).toBeInstanceOf(Date);
+    });
+
+    it('should update matching entities', async() => {
+      const { model, provider } = setup(1);
+
+      expect(await provider.update(
+        { age: { $lt: 40 } }, { $inc: { age: 5 } }, { age: 1 }
+      )).toEqual({
+        entities: [{ _id: '1', age: 35 }, { _id: '2', age: 25 }],
+        matched:  2,
+        modified: 2
+      });
+
+      expect(model.documents[1].metadata.updated).toBeInstanceOf(Date);
+      expect(model.documents[2].metadata).toBeUndefined();
+    });
+
+    it('should upsert', async() => {
+      const { model, provider } = setup();
+
+      const { entity, inserted } = await provider.upsert(
+        { name: 'd' }, { $set: { age: 1 } }, { name: 1, age: 1 }
+      );
+
+      expect(inserted).toBe(true);
+      expect(entity).toEqual({ _id: entity._id, name: 'd', age: 1 });
+
+      expect(await provider.upsert(
+        { name: 'd' }, { $set: { age: 2 } }, { _id: 0, age: 1 }
+      )).toEqual({ entity: { age: 2 }, inserted: false });
+
+      expect(model.documents).toHaveLength(4);
+    });
+
+    it('should upsert fields of conditions', async() => {
+      const { provider } = setup();
+
+      expect(await provider.upsert(
+        { name: 'a' }, { $set: { name: 'e' } }, { _id: 1, name: 1 }
+      )).toEqual({ entity: { _id: '1', name: 'e' }, inserted: false });
+    });
+
+    it('should delete and exclude deleted', async() => {
+      const { model, provider } = setup();
+
+      expect(await provider.deleteById('1', projection))
+        .toEqual({ _id: '1', name: 'a' });
+
+      expect(model.documents[0].metadata.deleted).toBeInstanceOf(Date);
+
+      expect(await provider.countAll()).toBe(2);
+      expect(await provider.findById('1', projection)).toBeNull();
+
+      // Entities deleted before are not deleted again
+      expect(await provider.delete({ age: { $gt: 0 } }, { _id: 1 }))
+        .toEqual([{ _id: '2' }, { _id: '3' }]);
+
+      expect(await provider.countAll()).toBe(0);
+    });
+
+    it('should restore and purge deleted', async() => {
+      const { model, provider } = setup();
+
+      await provider.delete({ age: { $lt: 40 } }, projection);
+
+      expect(await provider.findDeleted({}, projection)).toEqual([
+        { _id: '1', name: 'a' },
+        { _id: '2', name: 'b' }
+      ]);
+
+      expect(await provider.restoreById('1', projection))
+        .toEqual({ _id: '1', name: 'a' });
+      expect(model.documents[0].metadata.deleted).toBeUndefined();
+      expect(model.documents[0].metadata.updated).toBeInstanceOf(Date);
+
+      expect(await provider.purgeDeleted({ olderThan: 0 })).toEqual([]);
+      expect(await provider.purgeDeleted()).toEqual([{ _id: '2' }]);
+      expect(model.documents).toHaveLength(2);
+    });
+
+    it('should reject with typed errors', async() => {
+      const { provider } = setup();
+
+      const err = await provider.create({ _id: '1' }, projection).catch(e => e);
+
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err).toMatchObject({
+        code:    'CONFLICT',
+        details: { _id: '1' },
+        message: 'Duplicate _id',
+        query:   { object: { _id: '1' }, projection }
+      });
+    });
+
+    it('should report per-item results of streamed creates', done => {
+      const transport = new MemoryTransport();
+
+      new Store({
+        schema,
+        transport,
+
+        buildModel: () => createMemoryModel(schema, { documents })
+      }).open();
+
+      const deadLetter = new PassThrough({ objectMode: true });
+
+      const provider = new Provider({
+        schema,
+        transport,
+
+        options: {
+          itemResults: { deadLetter, ordered: false }
+        }
+      });
+
+      const errors = [];
+      provider.on('stream-error', (err, chunk, index) =>
+        errors.push([err.code, chunk, index])
+      );
+
+      provider.on('created', ids => {
+        expect(ids).toHaveLength(2);
+        expect(ids).toContain('4');
+        expect(errors).toEqual([['CONFLICT', { _id: '1' }, 1]]);
+        expect(deadLetter.read()).toMatchObject({
+          chunk: { _id: '1' },
+          error: { code: 'CONFLICT' },
+          index: 1
+        });
+
+        done();
+      });
+
+      provider.cork();
+      provider.write({ _id: '4' });
+      provider.write({ _id: '1' });
+      provider.write({ name: 'e' });
+      provider.uncork();
+    });
+
+    it('should remove by ID', async() => {
+      const { model, provider } = setup();
+
+      expect(await provider.removeById('1', projection))
+        .toEqual({ _id: '1', name: 'a' });
+
+      expect(model.documents).toHaveLength(2);
+      expect(await provider.removeById('1', projection)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,397 @@
+'use strict';
+
+const {
+  __,
+  equals,
+  F,
+  has,
+  includes,
+  isEmpty,
+  isNil,
+  map,
+  pick,
+  where
+} = require('ramda');
+
+const {
+  MemoryTransport,
+  Provider,
+  Store
+} = require('../');
+
+describe('MemoryTransport', () => {
+  describe('subscribe', () => {
+    it('should deliver to matching subscriptions', done => {
+      const transport = new MemoryTransport();
+
+      const received = [];
+
+      transport.subscribe('a.b',   msg => received.push(['a.b', msg]));
+      transport.subscribe('a.*',   msg => received.push(['a.*', msg]));
+      transport.subscribe('a.>',   msg => received.push(['a.>', msg]));
+      transport.subscribe('a.b.c', msg => received.push(['a.b.c', msg]));
+
+      transport.publish('a.b', 'msg', () => {
+        expect(received).toMatchObject([
+          ['a.b', 'msg'],
+          ['a.*', 'msg'],
+          ['a.>', 'msg']
+        ]);
+
+        done();
+      });
+    });
+
+    it('should pass reply subject, subject and sid', done => {
+      const transport = new MemoryTransport();
+
+      const sid = transport.subscribe('a.*', (msg, replyTo, sub, _sid) => {
+        expect(msg).toBe('msg');
+        expect(replyTo).toBe('reply');
+        expect(sub).toBe('a.b');
+        expect(_sid).toBe(sid);
+
+        done();
+      });
+
+      transport.publish('a.b', 'msg', 'reply');
+    });
+
+    it('should deliver to a single queue group member', done => {
+      const transport = new MemoryTransport();
+
+      const received = [];
+
+      transport.subscribe('a', { queue: 'q' }, () => received.push(1));
+      transport.subscribe('a', { queue: 'q' }, () => received.push(2));
+      transport.subscribe('a', () => received.push(3));
+
+      transport.publish('a', 'msg');
+      transport.publish('a', 'msg', () => {
+        expect(received.sort()).toMatchObject([1, 2, 3, 3]);
+
+        done();
+      });
+    });
+
+    it('should auto-unsubscribe after max messages', done => {
+      const transport = new MemoryTransport();
+
+      let received = 0;
+
+      transport.subscribe('a', { max: 2 }, () => ++received);
+
+      transport.publish('a', 'msg');
+      transport.publish('a', 'msg');
+      transport.publish('a', 'msg', () => {
+        expect(received).toBe(2);
+        expect(transport._subs.size).toBe(0);
+
+        done();
+      });
+    });
+
+    it('should throw with invalid subject', () => {
+      const transport = new MemoryTransport();
+
+      expect(() => transport.subscribe('', F)).toThrow();
+      expect(() => transport.subscribe('a..b', F)).toThrow();
+      expect(() => transport.subscribe('a.>.b', F)).toThrow();
+    });
+
+    it('should throw without callback', () => {
+      expect(() => new MemoryTransport().subscribe('a')).toThrow();
+    });
+  });
+
+  describe('unsubscribe', () => {
+    it('should stop delivery', done => {
+      const transport = new MemoryTransport();
+
+      const sid = transport.subscribe('a', () => done(new Error()));
+
+      transport.unsubscribe(sid);
+      transport.unsubscribe(sid);
+
+      transport.publish('a', 'msg', () => done());
+    });
+
+    it('should stop delivery after max messages', done => {
+      const transport = new MemoryTransport();
+
+      let received = 0;
+
+      const sid = transport.subscribe('a', () => ++received);
+
+      transport.unsubscribe(sid, 1);
+
+      transport.publish('a', 'msg');
+      transport.publish('a', 'msg', () => {
+        expect(received).toBe(1);
+
+        done();
+      });
+    });
+  });
+
+  describe('publish', () => {
+    it('should throw with wildcard subject', () => {
+      const transport = new MemoryTransport();
+
+      expect(() => transport.publish('a.*', 'msg')).toThrow();
+      expect(() => transport.publish('a.>', 'msg')).toThrow();
+    });
+
+    it('should publish an empty message', done => {
+      const transport = new MemoryTransport();
+
+      transport.subscribe('a', msg => {
+        expect(msg).toBe('');
+
+        done();
+      });
+
+      transport.publish('a');
+    });
+  });
+
+  describe('request', () => {
+    it('should receive a reply', done => {
+      const transport = new MemoryTransport();
+
+      transport.subscribe('a', (msg, replyTo) => {
+        expect(replyTo.startsWith('_INBOX.')).toBeTruthy();
+
+        transport.publish(replyTo, `re: ${msg}`);
+      });
+
+      transport.request('a', 'msg', { max: 1 }, reply => {
+        expect(reply).toBe('re: msg');
+        expect(transport._subs.size).toBe(1);
+
+        done();
+      });
+    });
+
+    it('should time out', done => {
+      const transport = new MemoryTransport();
+
+      transport.request('a', 'msg', { max: 1, timeout: 10 }, err => {
+        expect(err).toBeInstanceOf(Error);
+        expect(err.code).toBe('REQ_TIMEOUT');
+        expect(transport._subs.size).toBe(0);
+
+        done();
+      });
+    });
+
+    it('should not time out after a reply', done => {
+      const transport = new MemoryTransport();
+
+      transport.subscribe('a', (_, replyTo) => {
+        transport.publish(replyTo, 'ok');
+      });
+
+      const replies = [];
+
+      transport.request('a', { max: 1, timeout: 10 }, reply => {
+        replies.push(reply);
+      });
+
+      setTimeout(() => {
+        expect(replies).toMatchObject(['ok']);
+
+        done();
+      }, 20);
+    });
+  });
+
+  describe('timeout', () => {
+    it('should ignore unknown sid', () => {
+      new MemoryTransport().timeout(1, 10, 1, () => {
+        throw new Error();
+      });
+    });
+  });
+
+  describe('close', () => {
+    it('should drop all subscriptions', done => {
+      const transport = new MemoryTransport();
+
+      transport.subscribe('a', F);
+      transport.flush(() => {
+        transport.close();
+
+        expect(transport._subs.size).toBe(0);
+        expect(() => transport.publish('a', 'msg')).toThrow();
+        expect(() => transport.subscribe('a', F)).toThrow();
+
+        done();
+      });
+    });
+  });
+
+  describe('with Provider and Store', () => {
+    const schema = {
+      name: 'User',
+
+      fields: {
+        name: {
+          type: String
+        }
+      }
+    };
+
+    function buildModel() {
+      const users = [];
+
+      // Store re-fetches committed entities by `_id: { $in }`
+      const matches = condition => has('$in', Object(condition))
+        ? includes(__, condition.$in)
+        : equals(condition);
+
+      const match = conditions => where(map(matches, conditions));
+
+      return {
+        count: conditions => Promise.resolve(
+          users.filter(match(conditions)).length
+        ),
+
+        create: (object, projection) => {
+          const user = { ...object, _id: `${users.length + 1}` };
+          users.push(user);
+
+          return Promise.resolve(pick(Object.keys(projection), user));
+        },
+
+        find: (conditions, projection = {}, { limit, skip = 0 } = {}) =>
+          Promise.resolve(users
+            .filter(match(conditions))
+            .slice(skip, isNil(limit) ? undefined : skip + limit)
+            .map(user => isEmpty(projection)
+              ? user
+              : pick(Object.keys(projection), user)
+            )
+          ),
+
+        update: (conditions, { $set }) => {
+          const matched = users.filter(match(conditions));
+          matched.forEach(user => Object.assign(user, $set));
+
+          return Promise.resolve({ n: matched.length });
+        }
+      };
+    }
+
+    function setup() {
+      const transport = new MemoryTransport();
+
+      const store = new Store({
+        buildModel,
+        schema,
+        transport
+      });
+
+      store.open();
+
+      const provider = new Provider({
+        schema,
+        transport,
+
+        options: {
+          timeout: 100
+        }
+      });
+
+      return { provider, store, transport };
+    }
+
+    const projection = { _id: 1, name: 1 };
+
+    it('should create, find, update and count', async() => {
+      const { provider } = setup();
+
+      const created = await provider.create({ name: 'a' }, projection);
+      expect(created).toMatchObject({ _id: '1', name: 'a' });
+
+      await provider.create({ name: 'b' }, projection);
+
+      expect(await provider.countAll()).toBe(2);
+      expect(await provider.count({ name: 'b' })).toBe(1);
+
+      expect(await provider.findAll(projection)).toMatchObject([
+        { _id: '1', name: 'a' },
+        { _id: '2', name: 'b' }
+      ]);
+
+      expect(await provider.findById('2', projection))
+        .toMatchObject({ _id: '2', name: 'b' });
+
+      expect(await provider.updateById(
+        '1', { $set: { name: 'c' } }, projection
+      )).toMatchObject({ _id: '1', name: 'c' });
+
+      expect(await provider.find({ name: 'c' }, projection))
+        .toMatchObject([{ _id: '1', name: 'c' }]);
+    });
+
+    it('should time out when store is closed', () => {
+      const { provider, store } = setup();
+
+      store.close();
+
+      return expect(provider.countAll()).rejects
+        .toThrow('query timeout after 100ms');
+    });
+
+    it('should notify about creates', done => {
+      const { provider } = setup();
+
+      provider.on('create', (err, msg) => {
+        expect(err).toBeNull();
+        expect(msg).toMatchObject({ object: { name: 'a' } });
+
+        provider.removeAllListeners();
+
+        done();
+      });
+
+      provider.create({ name: 'a' }, projection).catch(done);
+    });
+
+    it('should stream created entities', done => {
+      const { provider } = setup();
+
+      provider.once('data', object => {
+        expect(object).toMatchObject({ name: 'a' });
+
+        provider.removeAllListeners();
+        provider.destroy();
+
+        done();
+      });
+
+      // Readable side subscribes on first read
+      setImmediate(() => provider.write({ name: 'a' }));
+    });
+
+    it('should reply with model errors', () => {
+      const transport = new MemoryTransport();
+
+      new Store({
+        buildModel: () => ({
+          count:  () => Promise.reject(new Error('count failed')),
+          create: F,
+          find:   F,
+          update: F
+        }),
+        schema,
+        transport
+      }).open();
+
+      const provider = new Provider({ schema, transport });
+
+      return expect(provider.countAll()).rejects.toThrow('count failed');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+const {
+  spy,
+  stub
+} = require('sinon');
+
+const {
+  MemoryTransport,
+  MqttAdapter,
+  Provider,
+  Store
+} = require('../');
+
+const {
+  MqttClient,
+  testProviderStore
+} = require('./brokers');
+
+describe('MqttAdapter', () => {
+  describe('constructor', () => {
+    it('should throw without client', () => expect(
+      () => new MqttAdapter()
+    ).toThrow());
+
+    it('should throw with bad client', () => expect(
+      () => new MqttAdapter({})
+    ).toThrow());
+  });
+
+  it('should map subjects to topics', done => {
+    const client = new MqttClient(new MemoryTransport());
+
+    const subscribe = spy(client, 'subscribe');
+    const publish   = spy(client, 'publish');
+
+    const adapter = new MqttAdapter(client, { qos: 1 });
+
+    adapter.subscribe('a.*.>', (msg, replyTo, subject) => {
+      expect(msg).toBe('msg');
+      expect(replyTo).toBe('reply');
+      expect(subject).toBe('a.b.c.d');
+
+      expect(subscribe.calledWith('a/+/#', { qos: 1 })).toBeTruthy();
+      expect(publish.calledWith('a/b/c/d')).toBeTruthy();
+
+      done();
+    });
+
+    adapter.publish('a.b.c.d', 'msg', 'reply');
+  });
+
+  it('should keep NATS wildcard semantics', done => {
+    const adapter = new MqttAdapter(new MqttClient(new MemoryTransport()));
+
+    const received = [];
+
+    adapter.subscribe('a.>', msg => received.push(msg));
+
+    adapter.publish('a', 'not received')
+      .then(() => adapter.publish('a.b', 'received'))
+      .then(() => setImmediate(() => {
+        expect(received).toMatchObject(['received']);
+
+        done();
+      }));
+  });
+
+  it('should deliver once to a subject and its children', done => {
+    const client    = new MqttClient(new MemoryTransport());
+    const subscribe = spy(client, 'subscribe');
+
+    const adapter = new MqttAdapter(client);
+
+    const received = [];
+
+    adapter.subscribe('a', msg => received.push(['a', msg]));
+    adapter.subscribe('a.>', msg => received.push(['a.>', msg]));
+
+    expect(subscribe.args.map(([topic]) => topic)).toEqual(['a/#']);
+
+    adapter.publish('a', '1')
+      .then(() => adapter.publish('a.b', '2'))
+      .then(() => setImmediate(() => {
+        expect(received).toEqual([['a', '1'], ['a.>', '2']]);
+
+        done();
+      }));
+  });
+
+  it('should request', () => {
+    const transport = new MemoryTransport();
+
+    const requester = new MqttAdapter(new MqttClient(transport));
+    const responder = new MqttAdapter(new MqttClient(transport));
+
+    responder.subscribe('a', (msg, replyTo) => {
+      responder.publish(replyTo, `re: ${msg}`);
+    });
+
+    return requester.request('a', 'msg', { timeout: 100 }).then(reply => {
+      expect(reply).toBe('re: msg');
+    });
+  });
+
+  it('should unsubscribe from topic when no longer used', () => {
+    const client      = new MqttClient(new MemoryTransport());
+    const unsubscribe = spy(client, 'unsubscribe');
+
+    const adapter = new MqttAdapter(client);
+
+    const a = adapter.subscribe('a.*', () => {});
+    const b = adapter.subscribe('a.*', () => {});
+
+    return adapter.ready(b).then(() => {
+      adapter.unsubscribe(a);
+      expect(unsubscribe.called).toBeFalsy();
+
+      adapter.unsubscribe(b);
+      expect(unsubscribe.calledOnceWith('a/+/#')).toBeTruthy();
+
+      adapter.unsubscribe(b);
+      expect(unsubscribe.calledOnce).toBeTruthy();
+
+      return adapter.ready(b);
+    });
+  });
+
+  it('should reject publish on client error', () => expect(new MqttAdapter({
+    on() {},
+
+    publish: (topic, payload, opts, cb) => cb(new Error('publish failed'))
+  }).publish('a', 'msg')).rejects.toThrow('publish failed'));
+
+  it('should close', () => {
+    const client = new MqttClient(new MemoryTransport());
+
+    return new MqttAdapter(client).close().then(() => {
+      expect(client.listenerCount('message')).toBe(0);
+    });
+  });
+
+  it('should process each request once', async() => {
+    const transport = new MemoryTransport();
+
+    const create = stub().callsFake(object => Promise.resolve({
+      ...object,
+      _id: 1
+    }));
+
+    new Store({
+      schema: { name: 'User', fields: {} },
+
+      buildModel: () => ({ count() {}, create, find() {}, update() {} }),
+
+      transport: new MqttAdapter(new MqttClient(transport))
+    }).open();
+
+    const provider = new Provider({
+      schema: { name: 'User', fields: {} },
+
+      transport: new MqttAdapter(new MqttClient(transport))
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(await provider.create({ a: 1 }, { a: 1 }))
+      .toMatchObject({ a: 1 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(create.calledOnce).toBeTruthy();
+  });
+
+  describe('with Provider and Store', () => testProviderStore(() => {
+    const transport = new MemoryTransport();
+
+    return {
+      provider: new MqttAdapter(new MqttClient(transport)),
+      store:    new MqttAdapter(new MqttClient(transport))
+    };
+  }));
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const {
+  spy,
+  stub
+} = require('sinon');
+
+const {
+  MemoryTransport,
+  NatsAdapter,
+  NatsV2Adapter,
+  TransportAdapter
+} = require('../');
+
+const {
+  toTransportAdapter
+} = require('../src/nats-adapter');
+
+const {
+  natsV2Connection,
+  testProviderStore
+} = require('./brokers');
+
+function testAdapter(createAdapter) {
+  it('should publish and subscribe', done => {
+    const adapter = createAdapter();
+
+    const handle = adapter.subscribe('a.*', (msg, replyTo, subject) => {
+      expect(msg).toBe('msg');
+      expect(replyTo).toBe('reply');
+      expect(subject).toBe('a.b');
+
+      adapter.unsubscribe(handle);
+
+      done();
+    });
+
+    adapter.publish('a.b', 'msg', 'reply');
+  });
+
+  it('should request', () => {
+    const adapter = createAdapter();
+
+    adapter.subscribe('a', (msg, replyTo) => {
+      expect(replyTo).toBeDefined();
+
+      adapter.publish(replyTo, `re: ${msg}`);
+    });
+
+    return adapter.request('a', 'msg', { timeout: 100 }).then(
+      reply => expect(reply).toBe('re: msg')
+    );
+  });
+
+  it('should reject request on timeout', () => expect(
+    createAdapter().request('a', 'msg', { timeout: 10 })
+  ).rejects.toThrow());
+
+  it('should close', () => createAdapter().close());
+}
+
+describe('NatsAdapter', () => {
+  describe('constructor', () => {
+    it('should throw without client', () => expect(
+      () => new NatsAdapter()
+    ).toThrow());
+
+    it('should throw without subscribe', () => expect(
+      () => new NatsAdapter({ unsubscribe() {} })
+    ).toThrow());
+
+    it('should throw without unsubscribe', () => expect(
+      () => new NatsAdapter({ subscribe() {} })
+    ).toThrow());
+  });
+
+  testAdapter(() => new NatsAdapter(new MemoryTransport()));
+
+  it('should request with max of one reply', () => {
+    const request = stub().callsArgWithAsync(3, 'reply');
+
+    return new NatsAdapter({
+      request,
+
+      subscribe()   {},
+      unsubscribe() {}
+    }).request('a', 'msg').then(reply => {
+      expect(reply).toBe('reply');
+      expect(request.calledWith('a', 'msg', { max: 1 })).toBeTruthy();
+    });
+  });
+
+  it('should reject request with client error', () => {
+    const request = stub().callsArgWithAsync(3, new Error('client error'));
+
+    return expect(new NatsAdapter({
+      request,
+
+      subscribe()   {},
+      unsubscribe() {}
+    }).request('a', 'msg')).rejects.toThrow('client error');
+  });
+
+  it('should unsubscribe request on timeout', () => {
+    const unsubscribe = spy();
+
+    return new NatsAdapter({
+      request: () => 5,
+
+      subscribe() {},
+      unsubscribe
+    }).request('a', 'msg', { timeout: 10 }).catch(err => {
+      expect(err.code).toBe('REQ_TIMEOUT');
+      expect(unsubscribe.calledOnceWith(5)).toBeTruthy();
+    });
+  });
+
+  it('should publish without reply subject', () => {
+    const publish = spy();
+
+    return new NatsAdapter({
+      publish,
+
+      subscribe()   {},
+      unsubscribe() {}
+    }).publish('a', 'msg').then(() => {
+      expect(publish.calledOnceWithExactly('a', 'msg')).toBeTruthy();
+    });
+  });
+
+  describe('with Provider and Store', () => testProviderStore(() => {
+    const transport = new MemoryTransport();
+
+    return {
+      provider: new NatsAdapter(transport),
+      store:    transport
+    };
+  }));
+});
+
+describe('NatsV2Adapter', () => {
+  it('should throw without connection', () => expect(
+    () => new NatsV2Adapter()
+  ).toThrow());
+
+  testAdapter(() => new NatsV2Adapter(natsV2Connection()));
+
+  it('should ignore subscription errors', () => {
+    const callback = spy();
+
+    new NatsV2Adapter({
+      subscribe: (_, opts) => opts.callback(new Error())
+    }).subscribe('a', callback);
+
+    expect(callback.called).toBeFalsy();
+  });
+
+  describe('with Provider and Store', () => testProviderStore(() => {
+    const transport = new MemoryTransport();
+
+    return {
+      provider: new NatsV2Adapter(natsV2Connection(transport)),
+      store:    new NatsV2Adapter(natsV2Connection(transport))
+    };
+  }));
+});
+
+describe('toTransportAdapter', () => {
+  it('should pass adapters through', () => {
+    const adapter = new TransportAdapter();
+
+    expect(toTransportAdapter(adapter)).toBe(adapter);
+  });
+
+  it('should wrap node-nats v1 clients', () => {
+    expect(toTransportAdapter(new MemoryTransport()))
+      .toBeInstanceOf(NatsAdapter);
+  });
+});
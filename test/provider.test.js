@@ -4,10 +4,14 @@ const {
   curry,
   equals,
   F,
-  is
+  has,
+  head,
+  is,
+  omit
 } = require('ramda');
 
 const {
+  match,
   stub
 } = require('sinon');
 
@@ -17,7 +21,10 @@ const {
 } = require('stream');
 
 const {
-  Provider
+  NotFoundError,
+  Provider,
+  ProviderError,
+  StoreError
 } = require('../');
 
 const {
@@ -86,6 +93,16 @@ const $currentDate = {
 
 const execRejects = rejects(exec);
 
+// Requests are stubbed with exact messages, i.e. without deadlines
+const noDeadline = {
+  propagateDeadline: false
+};
+
+// Matches a message ignoring its generated idempotency key
+const withoutKey = query => match(
+  msg => equals(omit(['idempotencyKey'], JSON.parse(msg)), query)
+);
+
 describe('batchExec', () => {
   describe('should resolve', () => {
     it('with no elements', () => {
@@ -192,6 +209,15 @@ describe('exec', () => {
     });
   });
 
+  it('should add timeout to query', async() => {
+    const request = stub().callsArgWithAsync(1, JSON.stringify({ result: 1 }));
+
+    await exec(request, { propagateDeadline: true, timeout: 20 }, { a: 1 });
+
+    expect(JSON.parse(request.firstCall.args[0]))
+      .toEqual({ a: 1, timeout: 20 });
+  });
+
   describe('should reject', () => {
     function errorRequest(_0, _1, next) {
       return next(JSON.stringify({ error: { message: 'msg' } }));
@@ -215,7 +241,41 @@ describe('exec', () => {
 
     it('on error', execRejects(errorRequest, 10, {}));
 
+    it('with typed error', async() => {
+      const error = { code: 'NOT_FOUND', message: 'msg', details: { a: 1 } };
+
+      const request = stub().callsArgWithAsync(1, JSON.stringify({ error }));
+
+      const err = await exec(request, { timeout: 20 }, { a: 1 }).catch(e => e);
+
+      expect(err).toBeInstanceOf(NotFoundError);
+      expect(err).toBeInstanceOf(StoreError);
+      expect(err).toMatchObject({ ...error, query: { a: 1 } });
+    });
+
+    it('with unknown error code', async() => {
+      const error = { code: 'OTHER', message: 'msg' };
+
+      const request = stub().callsArgWithAsync(1, JSON.stringify({ error }));
+
+      const err = await exec(request, { timeout: 20 }, {}).catch(e => e);
+
+      expect(err.constructor).toBe(StoreError);
+      expect(err.code).toBe('OTHER');
+    });
+
     it('with unparsable JSON', execRejects(badJsonRequest, 10, {}));
+
+    it('with unparsable JSON replied later', async() => {
+      const request = stub().callsArgWithAsync(1, 'not json');
+
+      const err = await exec(request, { timeout: 20 }, { a: 1 })
+        .catch(e => e);
+
+      expect(err).toBeInstanceOf(ProviderError);
+      expect(err.message).toMatch(/^invalid response: /);
+      expect(err.query).toEqual({ a: 1 });
+    });
   });
 });
 
@@ -240,11 +300,11 @@ describe('Provider', () => {
       expect(provider._count).toBeInstanceOf(Function);
       expect(provider._create).toBeInstanceOf(Function);
       expect(provider._find).toBeInstanceOf(Function);
+      expect(provider._remove).toBeInstanceOf(Function);
       expect(provider._update).toBeInstanceOf(Function);
 
-      expect(provider._listeners).toBeDefined();
-      expect(provider._listeners.create).toBeInstanceOf(Map);
-      expect(provider._listeners.update).toBeInstanceOf(Map);
+      expect(provider._subscriptions).toBeInstanceOf(Map);
+      expect(provider._subscriptions.size).toBe(0);
 
       expect(provider._mergeConditions).toBeInstanceOf(Function);
 
@@ -277,6 +337,18 @@ describe('Provider', () => {
     it('should throw without transport', () => expect(() => new Provider({
       schema: goodSchema
     })).toThrow());
+
+    it('should throw with itemResults and noAckStream', () => expect(
+      () => new Provider({
+        schema:    goodSchema,
+        transport: goodTransport,
+
+        options: {
+          itemResults: {},
+          noAckStream: true
+        }
+      })
+    ).toThrow('itemResults cannot be used with noAckStream'));
   });
 
   describe('count', () => {
@@ -385,16 +457,17 @@ describe('Provider', () => {
       request.withArgs(subjects.find[0])
         .callsArgWithAsync(3, JSON.stringify({ result: [{ _id: 1 }] }));
 
+      // Only entities not deleted before are marked
       request.withArgs(
         subjects.update[0],
         JSON.stringify({
           conditions: {
             $or,
-            a: 1
+            _id: { $in: [1] }
           },
           object: { $currentDate },
           projection
-        }, { max: 1 })
+        })
       ).callsArgWithAsync(3, JSON.stringify({ result: [{ c: 1 }] }));
 
       return new Provider({
@@ -404,17 +477,122 @@ describe('Provider', () => {
 
           subscribe()   {},
           unsubscribe() {}
-        }
+        },
+
+        options: noDeadline
       }).delete(conditions, projection).then(res => {
         expect(res).toMatchObject([{ _id: 1 }]);
-        expect(request.calledTwice).toBeTruthy();
+        expect(request.calledThrice).toBeTruthy();
+        expect(JSON.parse(request.firstCall.args[1]).conditions)
+          .toEqual({ $or, a: 1 });
+      });
+    });
+
+    it('should remove when schema has no metadata', () => {
+      const conditions = { a: 1 };
+      const projection = { b: 1 };
+      const result     = [{ _id: 1 }];
+
+      const request = stub().callsArgWithAsync(
+        3, JSON.stringify({ result })
+      );
+
+      return new Provider({
+        schema:    goodSchema,
+        transport: {
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        },
+
+        options: noDeadline
+      }).delete(conditions, projection).then(res => {
+        expect(res).toMatchObject(result);
+        expect(request.calledOnce).toBeTruthy();
+        expect(request.calledWith(
+          subjects.remove[0],
+          JSON.stringify({ conditions, projection }),
+          { max: 1 }
+        )).toBeTruthy();
+      });
+    });
+
+    it('should publish deleted entities', () => {
+      const result = [{ _id: 1, b: 2 }, { _id: 2, b: 3 }];
+
+      const request = stub().callsArgWithAsync(
+        3, JSON.stringify({ result })
+      );
+      const publish = stub();
+
+      return new Provider({
+        schema:    goodSchema,
+        transport: {
+          publish,
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        },
+
+        options: { committedEvents: false }
+      }).delete({ a: 1 }, { b: 1 }).then(() => {
+        expect(publish.args).toEqual([[
+          subjects.delete[0],
+          JSON.stringify({ object: result })
+        ]]);
+      });
+    });
+
+    it('should not publish deleted entities published by Store', () => {
+      const request = stub().callsArgWithAsync(
+        3, JSON.stringify({ result: [{ _id: 1 }] })
+      );
+      const publish = stub();
+
+      return new Provider({
+        schema:    goodSchema,
+        transport: {
+          publish,
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        },
+
+        options: { committedEvents: true }
+      }).delete({ a: 1 }, { b: 1 }).then(() => {
+        expect(publish.called).toBeFalsy();
+      });
+    });
+
+    it('should not publish without deleted entities', () => {
+      const request = stub().callsArgWithAsync(
+        3, JSON.stringify({ result: [] })
+      );
+      const publish = stub();
+
+      return new Provider({
+        schema:    goodSchema,
+        transport: {
+          publish,
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        },
+
+        options: { committedEvents: false }
+      }).delete({ a: 1 }, { b: 1 }).then(() => {
+        expect(publish.called).toBeFalsy();
       });
     });
 
     const badRejects  = rejects(badProvider.delete.bind(badProvider));
     const goodRejects = rejects(goodProvider.delete.bind(goodProvider));
 
-    it('should reject when schema has no metadata',
+    it('should reject when schema has no metadata and conditions are not set',
       badRejects(null, null));
 
     it('should reject when object is not set',
@@ -439,11 +617,11 @@ describe('Provider', () => {
         JSON.stringify({
           conditions: {
             $or,
-            _id: 1
+            _id: { $in: [1] }
           },
           object: { $currentDate },
           projection
-        }, { max: 1 })
+        })
       ).callsArgWithAsync(3, JSON.stringify({ result: { c: 1 } }));
 
       return new Provider({
@@ -453,17 +631,20 @@ describe('Provider', () => {
 
           subscribe()   {},
           unsubscribe() {}
-        }
+        },
+
+        options: noDeadline
       }).deleteById(1, projection).then(res => {
         expect(res).toMatchObject(result);
-        expect(request.calledTwice).toBeTruthy();
+        expect(request.calledThrice).toBeTruthy();
       });
     });
 
     const badRejects  = rejects(badProvider.deleteById.bind(badProvider));
     const goodRejects = rejects(goodProvider.deleteById.bind(goodProvider));
 
-    it('should reject when schema has no metadata', badRejects(null, null));
+    it('should reject when schema has no metadata and id is not set',
+      badRejects(null, null));
 
     it('should reject when id is not set', goodRejects(null, null));
 
@@ -516,12 +697,375 @@ describe('Provider', () => {
       const projection = { a: 1 };
       const result     = [{ c: 3 }];
 
-      const request = stub().withArgs(
+      const request = stub().withArgs(
+        subjects.find[0],
+        JSON.stringify({
+          conditions,
+          options: {
+            limit: 5000,
+            skip:  0
+          },
+          projection
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result }));
+
+      return new Provider({
+        schema:    goodSchema,
+        transport: {
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        }
+      }).findAll(projection).then(res => {
+        expect(res).toMatchObject(result);
+        expect(request.calledOnce).toBeTruthy();
+      });
+    });
+
+    const goodRejects = rejects(goodProvider.findAll.bind(goodProvider));
+
+    it('should reject when projection is not set', goodRejects(null));
+  });
+
+  describe('findById', () => {
+    it('should resolve single entity', () => {
+      const conditions = { _id: 1 };
+      const projection = { a: 1 };
+      const result     = { c: 3 };
+
+      const request = stub().withArgs(
+        subjects.find[0],
+        JSON.stringify({
+          conditions,
+          projection,
+          options: { limit: 1 }
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result: [result] }));
+
+      return new Provider({
+        schema:    goodSchema,
+        transport: {
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        }
+      }).findById(1, projection).then(res => {
+        expect(res).toMatchObject(result);
+        expect(request.calledOnce).toBeTruthy();
+      });
+    });
+
+    it('should resolve nothing when more than one', () => {
+      const conditions = { _id: 1 };
+      const projection = { a: 1 };
+      const result     = [{ c: 3 }, { c: 4 }];
+
+      const request = stub().withArgs(
+        subjects.find[0],
+        JSON.stringify({
+          conditions,
+          projection,
+          options: { limit: 1 }
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result }));
+
+      return new Provider({
+        schema:    goodSchema,
+        transport: {
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        }
+      }).findById(1, projection).then(res => {
+        expect(res).toBeNull();
+        expect(request.calledOnce).toBeTruthy();
+      });
+    });
+
+    const goodRejects = rejects(goodProvider.findById.bind(goodProvider));
+
+    it('should reject when id is not set', goodRejects(null, null));
+
+    it('should reject when projection is not set', goodRejects(1, null));
+  });
+
+  describe('findDeleted', () => {
+    it('should resolve deleted entities', () => {
+      const projection = { a: 1 };
+      const result     = [{ c: 3 }];
+
+      const request = stub().withArgs(
+        subjects.find[0],
+        JSON.stringify({
+          conditions: {
+            a:                  1,
+            'metadata.deleted': { $exists: true, $ne: null }
+          },
+          options: {
+            limit: 5000,
+            skip:  0
+          },
+          projection
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result }));
+
+      return new Provider({
+        schema:    goodSchemaWithMetadata,
+        transport: {
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        }
+      }).findDeleted({ a: 1 }, projection).then(res => {
+        expect(res).toMatchObject(result);
+        expect(request.calledOnce).toBeTruthy();
+      });
+    });
+
+    const badRejects  = rejects(badProvider.findDeleted.bind(badProvider));
+    const goodRejects = rejects(goodProvider.findDeleted.bind(goodProvider));
+
+    it('should reject when schema has no metadata', badRejects({}, {}));
+
+    it('should reject when conditions is not set', goodRejects(null, {}));
+
+    it('should reject when projection is not set', goodRejects({}, null));
+  });
+
+  describe('findStream', () => {
+    it('should stream found entities', async() => {
+      const result = [{ _id: 1 }, { _id: 2 }];
+
+      const request = stub().withArgs(
+        subjects.find[0],
+        JSON.stringify({
+          conditions: { $or, a: 1 },
+          projection: { _id: 1 },
+          options:    { limit: 5000, skip: 0 }
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result }));
+
+      const stream = new Provider({
+        schema:    goodSchemaWithMetadata,
+        transport: {
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        }
+      }).findStream({ a: 1 }, { _id: 1 });
+
+      const entities = [];
+      for await (const entity of stream)
+        entities.push(entity);
+
+      expect(entities).toEqual(result);
+      expect(request.calledOnce).toBeTruthy();
+    });
+
+    it('should throw when conditions is not set', () => expect(
+      () => goodProvider.findStream(null, {})
+    ).toThrow('conditions must be set'));
+
+    it('should throw when projection is not set', () => expect(
+      () => goodProvider.findStream({}, null)
+    ).toThrow('projection must be set'));
+  });
+
+  describe('purgeDeleted', () => {
+    function testPurge(options, conditions) {
+      const result = [{ _id: 1 }];
+
+      const request = stub().withArgs(
+        subjects.remove[0],
+        JSON.stringify({ conditions, projection: { _id: 1 } }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result }));
+
+      return new Provider({
+        schema:    goodSchemaWithMetadata,
+        transport: {
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        }
+      }).purgeDeleted(options).then(res => {
+        expect(res).toMatchObject(result);
+        expect(request.calledOnce).toBeTruthy();
+      });
+    }
+
+    it('should remove all deleted entities', () => testPurge(undefined, {
+      'metadata.deleted': { $exists: true, $ne: null }
+    }));
+
+    it('should remove entities deleted before olderThan', () => testPurge({
+      olderThan: 0
+    }, {
+      'metadata.deleted': {
+        $exists: true,
+        $ne:     null,
+        $lt:     new Date(0)
+      }
+    }));
+
+    it('should reject when schema has no metadata',
+      () => expect(badProvider.purgeDeleted()).rejects.toThrow(
+        'Schema cannot be marked as deleted'
+      ));
+  });
+
+  describe('remove', () => {
+    it('should resolve removed entities', () => {
+      const conditions = { a: 1 };
+      const projection = { b: 1 };
+      const result     = [{ _id: 1, b: 2 }];
+
+      const request = stub().withArgs(
+        subjects.remove[0],
+        JSON.stringify({
+          conditions: {
+            $or,
+            a: 1
+          },
+          projection
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result }));
+
+      return new Provider({
+        schema:    goodSchemaWithMetadata,
+        transport: {
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        }
+      }).remove(conditions, projection).then(res => {
+        expect(res).toMatchObject(result);
+        expect(request.calledOnce).toBeTruthy();
+      });
+    });
+
+    it('should reject when subjects have no remove', () => expect(
+      new Provider({
+        schema:      goodSchema,
+        transport:   goodTransport,
+        getSubjects: () => ({
+          count:  ['a'],
+          create: ['b'],
+          find:   ['c'],
+          update: ['d']
+        })
+      }).remove({}, {})
+    ).rejects.toThrow('Schema subjects do not support remove'));
+
+    const goodRejects = rejects(goodProvider.remove.bind(goodProvider));
+
+    it('should reject when conditions is not set', goodRejects(null, null));
+
+    it('should reject when projection is not set', goodRejects({}, null));
+  });
+
+  describe('removeById', () => {
+    it('should resolve removed entity', () => {
+      const projection = { b: 1 };
+      const result     = { _id: 1, b: 2 };
+
+      const request = stub().withArgs(
+        subjects.remove[0],
+        JSON.stringify({ conditions: { _id: 1 }, projection }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result: [result] }));
+
+      return new Provider({
+        schema:    goodSchema,
+        transport: {
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        }
+      }).removeById(1, projection).then(res => {
+        expect(res).toMatchObject(result);
+        expect(request.calledOnce).toBeTruthy();
+      });
+    });
+
+    it('should resolve null when nothing is removed', () => new Provider({
+      schema:    goodSchema,
+      transport: {
+        request: stub().callsArgWithAsync(
+          3, JSON.stringify({ result: [] })
+        ),
+
+        subscribe()   {},
+        unsubscribe() {}
+      }
+    }).removeById(1, {}).then(res => expect(res).toBeNull()));
+
+    const goodRejects = rejects(goodProvider.removeById.bind(goodProvider));
+
+    it('should reject when id is not set', goodRejects(null, null));
+
+    it('should reject when projection is not set', goodRejects(1, null));
+  });
+
+  describe('restore', () => {
+    it('should resolve restored entities', () => {
+      const projection = { b: 1 };
+      const result     = [{ _id: 1, b: 2 }];
+
+      const request = stub();
+
+      request.withArgs(
+        subjects.find[0],
+        JSON.stringify({
+          conditions: {
+            a:                  1,
+            'metadata.deleted': { $exists: true, $ne: null }
+          },
+          options: {
+            limit: 5000,
+            skip:  0
+          },
+          projection: { _id: 1 }
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result: [{ _id: 1 }] }));
+
+      request.withArgs(
+        subjects.update[0],
+        JSON.stringify({
+          conditions: { _id: { $in: [1] } },
+          object:     {
+            $unset:       { 'metadata.deleted': true },
+            $currentDate: { 'metadata.updated': true }
+          },
+          projection
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result: {} }));
+
+      request.withArgs(
         subjects.find[0],
         JSON.stringify({
-          conditions,
+          conditions: {
+            $or,
+            _id: { $in: [1] }
+          },
           options: {
-            limit: 5000,
+            limit: 1,
             skip:  0
           },
           projection
@@ -530,68 +1074,128 @@ describe('Provider', () => {
       ).callsArgWithAsync(3, JSON.stringify({ result }));
 
       return new Provider({
-        schema:    goodSchema,
+        schema:    goodSchemaWithMetadata,
         transport: {
           request,
 
           subscribe()   {},
           unsubscribe() {}
-        }
-      }).findAll(projection).then(res => {
+        },
+
+        options: noDeadline
+      }).restore({ a: 1 }, projection).then(res => {
         expect(res).toMatchObject(result);
+        expect(request.calledThrice).toBeTruthy();
+      });
+    });
+
+    it('should resolve empty array when nothing is deleted', () => {
+      const request = stub().callsArgWithAsync(
+        3, JSON.stringify({ result: [] })
+      );
+
+      return new Provider({
+        schema:    goodSchemaWithMetadata,
+        transport: {
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        }
+      }).restore({}, {}).then(res => {
+        expect(res).toEqual([]);
         expect(request.calledOnce).toBeTruthy();
       });
     });
 
-    const goodRejects = rejects(goodProvider.findAll.bind(goodProvider));
+    const badRejects  = rejects(badProvider.restore.bind(badProvider));
+    const goodRejects = rejects(goodProvider.restore.bind(goodProvider));
 
-    it('should reject when projection is not set', goodRejects(null));
+    it('should reject when schema has no metadata', badRejects({}, {}));
+
+    it('should reject when conditions is not set', goodRejects(null, {}));
+
+    it('should reject when projection is not set', goodRejects({}, null));
   });
 
-  describe('findById', () => {
-    it('should resolve single entity', () => {
-      const conditions = { _id: 1 };
+  describe('restoreById', () => {
+    const goodRejects = rejects(goodProvider.restoreById.bind(goodProvider));
+
+    it('should reject when id is not set', goodRejects(null, {}));
+
+    it('should reject when projection is not set', goodRejects(1, null));
+  });
+
+  describe('update', () => {
+    it('should resolve updated entities and counts', () => {
+      const conditions = { a: 1 };
+      const object     = { $set: { a: 2 } };
       const projection = { a: 1 };
-      const result     = { c: 3 };
+      const result     = [{ _id: 1, a: 2 }, { _id: 2, a: 2 }];
 
-      const request = stub().withArgs(
+      const ids = { _id: { $in: [1, 2] } };
+
+      const request = stub();
+
+      request.withArgs(
         subjects.find[0],
         JSON.stringify({
-          conditions,
-          projection,
-          options: { limit: 1 }
+          conditions: { $or, a: 1 },
+          options:    { limit: 5000, skip: 0 },
+          projection: { _id: 1 }
         }),
         { max: 1 }
-      ).callsArgWithAsync(3, JSON.stringify({ result: [result] }));
+      ).callsArgWithAsync(3, JSON.stringify({
+        result: [{ _id: 1 }, { _id: 2 }]
+      }));
+
+      request.withArgs(
+        subjects.update[0],
+        JSON.stringify({
+          conditions: { $or, ...ids },
+          object:     {
+            ...object,
+
+            $currentDate: { 'metadata.updated': true }
+          },
+          options: { upsert: false },
+          projection
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({
+        result: { matchedCount: 2, modifiedCount: 1 }
+      }));
+
+      request.withArgs(
+        subjects.find[0],
+        JSON.stringify({
+          conditions: ids,
+          options:    { limit: 2, skip: 0 },
+          projection
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result }));
 
       return new Provider({
-        schema:    goodSchema,
+        schema:    goodSchemaWithMetadata,
         transport: {
           request,
 
           subscribe()   {},
           unsubscribe() {}
-        }
-      }).findById(1, projection).then(res => {
-        expect(res).toMatchObject(result);
-        expect(request.calledOnce).toBeTruthy();
+        },
+
+        options: noDeadline
+      }).update(conditions, object, projection, { upsert: false }).then(res => {
+        expect(res).toEqual({ entities: result, matched: 2, modified: 1 });
+        expect(request.calledThrice).toBeTruthy();
       });
     });
 
-    it('should resolve nothing when more than one', () => {
-      const conditions = { _id: 1 };
-      const projection = { a: 1 };
-      const result     = [{ c: 3 }, { c: 4 }];
-
-      const request = stub().withArgs(
-        subjects.find[0],
-        JSON.stringify({
-          conditions,
-          projection,
-          options: { limit: 1 }
-        }),
-        { max: 1 }
-      ).callsArgWithAsync(3, JSON.stringify({ result }));
+    it('should find a single entity without multi', () => {
+      const request = stub().callsArgWithAsync(
+        3, JSON.stringify({ result: [] })
+      );
 
       return new Provider({
         schema:    goodSchema,
@@ -601,17 +1205,23 @@ describe('Provider', () => {
           subscribe()   {},
           unsubscribe() {}
         }
-      }).findById(1, projection).then(res => {
-        expect(res).toBeNull();
-        expect(request.calledOnce).toBeTruthy();
+      }).update({}, {}, {}, { multi: false }).then(res => {
+        expect(res).toEqual({ entities: [], matched: 0, modified: 0 });
+        expect(JSON.parse(request.firstCall.args[1]).options)
+          .toEqual({ limit: 1, skip: 0 });
       });
     });
 
-    const goodRejects = rejects(goodProvider.findById.bind(goodProvider));
+    const goodRejects = rejects(goodProvider.update.bind(goodProvider));
 
-    it('should reject when id is not set', goodRejects(null, null));
+    it('should reject when conditions is not set',
+      goodRejects(null, {}, {}, {}));
 
-    it('should reject when projection is not set', goodRejects(1, null));
+    it('should reject when object is not set',
+      goodRejects({}, null, {}, {}));
+
+    it('should reject when projection is not set',
+      goodRejects({}, {}, null, {}));
   });
 
   describe('updateById', () => {
@@ -642,7 +1252,9 @@ describe('Provider', () => {
 
           subscribe()   {},
           unsubscribe() {}
-        }
+        },
+
+        options: noDeadline
       }).updateById(1, object, projection).then(res => {
         expect(res).toMatchObject(resultFind);
         expect(request.calledTwice).toBeTruthy();
@@ -682,7 +1294,9 @@ describe('Provider', () => {
 
           subscribe()   {},
           unsubscribe() {}
-        }
+        },
+
+        options: noDeadline
       }).updateById(1, object, projection).then(res => {
         expect(res).toMatchObject(resultFind);
         expect(request.calledTwice).toBeTruthy();
@@ -699,8 +1313,138 @@ describe('Provider', () => {
       goodRejects(1, {}, null));
   });
 
+  describe('upsert', () => {
+    const conditions = { a: 1 };
+    const object     = { $set: { b: 2 } };
+    const projection = { b: 1 };
+
+    function testUpsert({
+      found,
+      updateConditions,
+      upsert,
+      updateResult,
+      findConditions,
+      inserted
+    }) {
+      const result = { _id: 3, b: 2 };
+
+      const request = stub();
+
+      request.withArgs(
+        subjects.find[0],
+        JSON.stringify({
+          conditions: { $or, a: 1 },
+          options:    { limit: 1, skip: 0 },
+          projection: { _id: 1 }
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result: found }));
+
+      request.withArgs(
+        subjects.update[0],
+        JSON.stringify({
+          conditions: updateConditions,
+          object:     {
+            ...object,
+
+            $currentDate: { 'metadata.updated': true }
+          },
+          options: {
+            multi: false,
+            upsert
+          },
+          projection
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result: updateResult }));
+
+      request.withArgs(
+        subjects.find[0],
+        JSON.stringify({
+          conditions: findConditions,
+          projection,
+          options:    { limit: 1 }
+        }),
+        { max: 1 }
+      ).callsArgWithAsync(3, JSON.stringify({ result: [result] }));
+
+      return new Provider({
+        schema:    goodSchemaWithMetadata,
+        transport: {
+          request,
+
+          subscribe()   {},
+          unsubscribe() {}
+        },
+
+        options: noDeadline
+      }).upsert(conditions, object, projection).then(res => {
+        expect(res).toEqual({ entity: result, inserted });
+        expect(request.calledThrice).toBeTruthy();
+      });
+    }
+
+    it('should resolve inserted entity', () => testUpsert({
+      found:            [],
+      updateConditions: { $or, a: 1 },
+      upsert:           true,
+      updateResult:     {
+        n:         1,
+        nModified: 0,
+        upserted:  [{ index: 0, _id: 3 }]
+      },
+      findConditions:   { _id: 3 },
+      inserted:         true
+    }));
+
+    it('should resolve inserted entity with upsertedId', () => testUpsert({
+      found:            [],
+      updateConditions: { $or, a: 1 },
+      upsert:           true,
+      updateResult:     { matchedCount: 0, upsertedId: 3 },
+      findConditions:   { _id: 3 },
+      inserted:         true
+    }));
+
+    it('should resolve updated entity by ID', () => testUpsert({
+      found:            [{ _id: 3 }],
+      updateConditions: { $or, _id: 3 },
+      upsert:           false,
+      updateResult:     { n: 1, nModified: 1 },
+      findConditions:   { _id: 3 },
+      inserted:         false
+    }));
+
+    it('should resolve entity created meanwhile', () => testUpsert({
+      found:            [],
+      updateConditions: { $or, a: 1 },
+      upsert:           true,
+      updateResult:     { n: 1, nModified: 1 },
+      findConditions:   { $or, a: 1 },
+      inserted:         false
+    }));
+
+    const goodRejects = rejects(goodProvider.upsert.bind(goodProvider));
+
+    it('should reject when conditions is not set',
+      goodRejects(null, {}, {}));
+
+    it('should reject when object is not set', goodRejects({}, null, {}));
+
+    it('should reject when projection is not set',
+      goodRejects({}, {}, null));
+  });
+
   describe('EventEmitter', () => {
+    const committed = {
+      create: subjects.created,
+      delete: subjects.deleted,
+      update: subjects.updated
+    };
+
     function testOnEvent({ onceFn, onFn }, eventName, once, error, done) {
+      const eventSubjects = committed[eventName] || [];
+
       function listener(err, query) {
         if (error) {
           expect(err).toBeInstanceOf(Error);
@@ -712,7 +1456,7 @@ describe('Provider', () => {
         }
 
         if (once)
-          equals(provider._listeners[eventName].get(listener), null);
+          expect(provider._subscriptions.has(eventName)).toBe(false);
 
         done();
       }
@@ -721,13 +1465,12 @@ describe('Provider', () => {
         request() {},
 
         subscribe(sub, subListener) {
-          if (sub === subjects[eventName][0])
+          if (sub === eventSubjects[0])
             return 1; // sid
-          else if (sub === subjects[eventName][1]) {
+          else if (sub === eventSubjects[1]) {
             setImmediate(() => {
-              expect(
-                provider._listeners[eventName].get(listener)
-              ).toMatchObject([1, 2]);
+              expect(provider._subscriptions.get(eventName))
+                .toEqual([1, 2]);
 
               if (error)
                 subListener('{');
@@ -747,14 +1490,15 @@ describe('Provider', () => {
       const provider = new Provider({
         schema: goodSchema,
 
-        transport
+        transport,
+
+        options: { committedEvents: true }
       });
 
       provider[once ? onceFn : onFn](eventName, listener);
 
-      if (eventName !== 'create' && eventName !== 'update') {
-        equals(provider._listeners.create.get(listener), null);
-        equals(provider._listeners.update.get(listener), null);
+      if (!has(eventName, committed)) {
+        expect(provider._subscriptions.has(eventName)).toBe(false);
 
         done();
       }
@@ -769,6 +1513,10 @@ describe('Provider', () => {
         testOnEvent(fns, 'create', false, false, done);
       });
 
+      it('should add delete listener and handle query', done => {
+        testOnEvent(fns, 'delete', false, false, done);
+      });
+
       it('should add update listener and handle query', done => {
         testOnEvent(fns, 'update', false, false, done);
       });
@@ -791,6 +1539,10 @@ describe('Provider', () => {
         testOnEvent(fns, 'create', true, false, done);
       });
 
+      it('should add delete listener and handle query', done => {
+        testOnEvent(fns, 'delete', true, false, done);
+      });
+
       it('should add update listener and handle query', done => {
         testOnEvent(fns, 'update', true, false, done);
       });
@@ -822,6 +1574,149 @@ describe('Provider', () => {
 
     describe('prependOnceListener', () => testOnce(prependFns));
 
+    describe('filter', () => {
+      function setup() {
+        const subscribers = [];
+        const unsubscribe = stub();
+
+        const provider = new Provider({
+          schema:    goodSchema,
+          transport: {
+            request() {},
+
+            subscribe(sub, subListener) {
+              subscribers.push(subListener);
+
+              return subscribers.length;
+            },
+
+            unsubscribe
+          }
+        });
+
+        // Delivers a message through the first subscription only
+        const deliver = object => subscribers[0](JSON.stringify({ object }));
+
+        return { deliver, provider, unsubscribe };
+      }
+
+      const filter = {
+        conditions: { a: { $gte: 1 } },
+        projection: { a: 1 }
+      };
+
+      it('should deliver matching entities projected', () => {
+        const { deliver, provider } = setup();
+        const listener = stub();
+
+        provider.on('update', listener, filter);
+
+        deliver([{ _id: 1, a: 1, b: 1 }, { _id: 2, a: 0, b: 2 }]);
+        deliver({ _id: 2, a: 0 });
+        deliver({ _id: 3, a: 2, b: 3 });
+
+        expect(listener.args).toEqual([
+          [null, { object: [{ _id: 1, a: 1 }] }],
+          [null, { object: { _id: 3, a: 2 } }]
+        ]);
+
+        provider.removeListener('update', listener);
+
+        expect(provider.listenerCount('update')).toBe(0);
+      });
+
+      it('should deliver errors', () => {
+        const { provider } = setup();
+        const listener = stub();
+
+        provider.on('create', listener, filter);
+        provider.emit('create', new Error('failed'));
+
+        expect(listener.firstCall.args[0].message).toBe('failed');
+      });
+
+      it('should not consume once listener with filtered out events', () => {
+        const { deliver, provider, unsubscribe } = setup();
+        const listener = stub();
+
+        provider.once('create', listener, filter);
+
+        deliver({ _id: 1, a: 0 });
+
+        expect(listener.called).toBeFalsy();
+        expect(unsubscribe.called).toBeFalsy();
+
+        deliver({ _id: 2, a: 1 });
+        deliver({ _id: 3, a: 1 });
+
+        expect(listener.args).toEqual([[null, { object: { _id: 2, a: 1 } }]]);
+        expect(unsubscribe.args).toEqual([[1], [2]]);
+        expect(provider.listenerCount('create')).toBe(0);
+      });
+
+      it('should throw with unsupported operators', () => {
+        const { provider } = setup();
+
+        expect(() => provider.on('create', F, {
+          conditions: { a: { $mod: [2, 0] } }
+        })).toThrow('Unsupported operator: $mod');
+      });
+    });
+
+    describe('committedEvents', () => {
+      function testSubjects(options, getSubjects, expected) {
+        const subscribe = stub();
+
+        const provider = new Provider({
+          schema:    goodSchema,
+          transport: {
+            subscribe,
+
+            request()     {},
+            unsubscribe() {}
+          },
+
+          getSubjects,
+          options
+        });
+
+        provider.on('create', F);
+        provider.on('delete', F);
+        provider.on('update', F);
+
+        expect(subscribe.args.map(head)).toEqual(expected);
+      }
+
+      it('should subscribe to requests when disabled', () => testSubjects(
+        { committedEvents: false },
+        _getSubjects,
+        [...subjects.create, ...subjects.delete, ...subjects.update]
+      ));
+
+      it('should subscribe to requests without committed subjects', () => {
+        const { count, create, find, update } = subjects;
+
+        testSubjects(
+          { committedEvents: true },
+          () => ({ count, create, find, update }),
+          [...subjects.create, ...subjects.update]
+        );
+      });
+
+      it('should subscribe to requests by default', () => testSubjects(
+        {},
+        _getSubjects,
+        [...subjects.create, ...subjects.delete, ...subjects.update]
+      ));
+
+      it('should subscribe to committed subjects when enabled', () =>
+        testSubjects({ committedEvents: true }, _getSubjects, [
+          ...subjects.created,
+          ...subjects.deleted,
+          ...subjects.updated
+        ]));
+    });
+
     describe('removeAllListeners', () => {
       it('should remove all listeners', () => {
         let sc = 1;
@@ -844,12 +1739,12 @@ describe('Provider', () => {
         provider.on('misc',   F);
         provider.on('create', F);
         provider.on('update', F);
-        equals(provider._listeners.create.get(F), 1);
-        equals(provider._listeners.update.get(F), 2);
+        expect(provider._subscriptions.has('create')).toBe(true);
+        expect(provider._subscriptions.has('update')).toBe(true);
 
         provider.removeAllListeners();
-        equals(provider._listeners.create.get(F), null);
-        equals(provider._listeners.update.get(F), null);
+        expect(provider._subscriptions.has('create')).toBe(false);
+        expect(provider._subscriptions.has('update')).toBe(false);
       });
 
       it('should remove misc listener', () => {
@@ -873,12 +1768,12 @@ describe('Provider', () => {
         provider.on('misc',   F);
         provider.on('create', F);
         provider.on('update', F);
-        equals(provider._listeners.create.get(F), 1);
-        equals(provider._listeners.update.get(F), 2);
+        expect(provider._subscriptions.has('create')).toBe(true);
+        expect(provider._subscriptions.has('update')).toBe(true);
 
         provider.removeAllListeners('misc');
-        equals(provider._listeners.create.get(F), 1);
-        equals(provider._listeners.update.get(F), 2);
+        expect(provider._subscriptions.has('create')).toBe(true);
+        expect(provider._subscriptions.has('update')).toBe(true);
       });
 
       it('should remove create listener', () => {
@@ -902,12 +1797,12 @@ describe('Provider', () => {
         provider.on('misc',   F);
         provider.on('create', F);
         provider.on('update', F);
-        equals(provider._listeners.create.get(F), 1);
-        equals(provider._listeners.update.get(F), 2);
+        expect(provider._subscriptions.has('create')).toBe(true);
+        expect(provider._subscriptions.has('update')).toBe(true);
 
         provider.removeAllListeners('create');
-        equals(provider._listeners.create.get(F), null);
-        equals(provider._listeners.update.get(F), 2);
+        expect(provider._subscriptions.has('create')).toBe(false);
+        expect(provider._subscriptions.has('update')).toBe(true);
       });
 
       it('should remove update listener', () => {
@@ -931,12 +1826,12 @@ describe('Provider', () => {
         provider.on('misc',   F);
         provider.on('create', F);
         provider.on('update', F);
-        equals(provider._listeners.create.get(F), 1);
-        equals(provider._listeners.update.get(F), 2);
+        expect(provider._subscriptions.has('create')).toBe(true);
+        expect(provider._subscriptions.has('update')).toBe(true);
 
         provider.removeAllListeners('update');
-        equals(provider._listeners.create.get(F), 1);
-        equals(provider._listeners.update.get(F), null);
+        expect(provider._subscriptions.has('create')).toBe(true);
+        expect(provider._subscriptions.has('update')).toBe(false);
       });
     });
 
@@ -948,12 +1843,12 @@ describe('Provider', () => {
         });
 
         provider.on('misc', F);
-        equals(provider._listeners.create.get(F), null);
-        equals(provider._listeners.update.get(F), null);
+        expect(provider._subscriptions.has('create')).toBe(false);
+        expect(provider._subscriptions.has('update')).toBe(false);
 
         provider.removeListener('misc', F);
-        equals(provider._listeners.create.get(F), null);
-        equals(provider._listeners.update.get(F), null);
+        expect(provider._subscriptions.has('create')).toBe(false);
+        expect(provider._subscriptions.has('update')).toBe(false);
       });
 
       it('should remove create listener', () => {
@@ -972,12 +1867,12 @@ describe('Provider', () => {
         });
 
         provider.on('create', F);
-        equals(provider._listeners.create.get(F), 1);
-        equals(provider._listeners.update.get(F), null);
+        expect(provider._subscriptions.has('create')).toBe(true);
+        expect(provider._subscriptions.has('update')).toBe(false);
 
         provider.removeListener('create', F);
-        equals(provider._listeners.create.get(F), null);
-        equals(provider._listeners.update.get(F), null);
+        expect(provider._subscriptions.has('create')).toBe(false);
+        expect(provider._subscriptions.has('update')).toBe(false);
       });
 
       it('should remove update listener', () => {
@@ -996,12 +1891,12 @@ describe('Provider', () => {
         });
 
         provider.on('update', F);
-        equals(provider._listeners.create.get(F), null);
-        equals(provider._listeners.update.get(F), 1);
+        expect(provider._subscriptions.has('create')).toBe(false);
+        expect(provider._subscriptions.has('update')).toBe(true);
 
         provider.removeListener('update', F);
-        equals(provider._listeners.create.get(F), null);
-        equals(provider._listeners.update.get(F), null);
+        expect(provider._subscriptions.has('create')).toBe(false);
+        expect(provider._subscriptions.has('update')).toBe(false);
       });
     });
   });
@@ -1012,11 +1907,11 @@ describe('Provider', () => {
         const subscribe = stub();
 
         subscribe
-          .withArgs(subjects['create'][0])
+          .withArgs(subjects.created[0])
           .returns(1);
 
         subscribe
-          .withArgs(subjects['create'][1])
+          .withArgs(subjects.created[1])
           .callsArgWithAsync(1, JSON.stringify({ object }))
           .returns(2);
 
@@ -1028,7 +1923,9 @@ describe('Provider', () => {
 
             request()     {},
             unsubscribe() {}
-          }
+          },
+
+          options: { committedEvents: true }
         });
 
         const write = stub();
@@ -1072,9 +1969,9 @@ describe('Provider', () => {
 
       it('should emit error on error', done => {
         const subscribe = stub()
-          .withArgs(subjects['create'][0])
+          .withArgs(subjects.created[0])
           .returns(1)
-          .withArgs(subjects['create'][1])
+          .withArgs(subjects.created[1])
           .callsArgWithAsync(1, new Error())
           .returns(2);
 
@@ -1086,7 +1983,9 @@ describe('Provider', () => {
 
             request()     {},
             unsubscribe() {}
-          }
+          },
+
+          options: { committedEvents: true }
         });
 
         const testStream = new Writable({
@@ -1107,9 +2006,9 @@ describe('Provider', () => {
         const msg = {};
 
         const subscribe = stub()
-          .withArgs(subjects['create'][0])
+          .withArgs(subjects.created[0])
           .returns(1)
-          .withArgs(subjects['create'][1])
+          .withArgs(subjects.created[1])
           .callsArgWithAsync(1, JSON.stringify(msg))
           .returns(2);
 
@@ -1121,7 +2020,9 @@ describe('Provider', () => {
 
             request()     {},
             unsubscribe() {}
-          }
+          },
+
+          options: { committedEvents: true }
         });
 
         const write = stub().callsArgAsync(2);
@@ -1155,12 +2056,12 @@ describe('Provider', () => {
         ).callsFake(() => done());
 
         const request    = stub();
-        const projection = { id: 1 };
+        const projection = { _id: 1 };
 
         request
           .withArgs(
             subjects.create[0],
-            JSON.stringify({ object: chunks[0], projection }),
+            withoutKey({ object: chunks[0], projection }),
             { max: 1 }
           )
           .callsArgWithAsync(3, JSON.stringify(errorOrder === 1
@@ -1171,7 +2072,7 @@ describe('Provider', () => {
         request
           .withArgs(
             subjects.create[0],
-            JSON.stringify({ object: chunks.slice(1), projection }),
+            withoutKey({ object: chunks.slice(1), projection }),
             { max: 1 }
           )
           .callsArgWithAsync(3, JSON.stringify(errorOrder === 2
@@ -1223,7 +2124,8 @@ describe('Provider', () => {
           },
 
           options: {
-            noAckStream
+            noAckStream,
+            propagateDeadline: false
           }
         });
 
@@ -1273,5 +2175,46 @@ describe('Provider', () => {
 
       it('should work with noAckStream', test(_chunks, 0, true));
     });
+
+    describe('with itemResults', () => {
+      it('should emit error on unexpected results', done => {
+        const reply = JSON.stringify({ result: [{ _id: 1 }, { _id: 2 }] });
+
+        const provider = new Provider({
+          schema:    goodSchema,
+          transport: {
+            publish: stub().callsArgWithAsync(2, reply),
+            request: stub().callsArgWithAsync(3, reply),
+
+            subscribe()   {},
+            unsubscribe() {}
+          },
+
+          options: { itemResults: {} }
+        });
+
+        const errors = [];
+        provider.on('stream-error', (err, chunk, index) =>
+          errors.push([err, chunk, index])
+        );
+
+        provider.on('finish', () => {
+          expect(errors).toHaveLength(2);
+
+          for (const [err, chunk, index] of errors) {
+            expect(err).toBeInstanceOf(ProviderError);
+            expect(err.message).toBe('unexpected item results');
+            expect(chunk).toEqual({ a: index });
+          }
+
+          done();
+        });
+
+        provider.cork();
+        provider.write({ a: 0 });
+        provider.write({ a: 1 });
+        provider.end();
+      });
+    });
   });
 });
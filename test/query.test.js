@@ -0,0 +1,249 @@
+'use strict';
+
+const {
+  applyUpdate,
+  fromConditions,
+  getPath,
+  matches,
+  parseSort,
+  project,
+  sortBy
+} = require('../src/query');
+
+const doc = {
+  _id:  '1',
+  name: 'a',
+  age:  30,
+  tags: ['x', 'y'],
+
+  metadata: {
+    created: new Date('2020-01-01T00:00:00Z'),
+    deleted: null
+  }
+};
+
+describe('getPath', () => {
+  it('should get nested values', () => {
+    expect(getPath('name', doc)).toBe('a');
+    expect(getPath('metadata.created', doc)).toBe(doc.metadata.created);
+    expect(getPath('metadata.updated', doc)).toBeUndefined();
+    expect(getPath('a.b', {})).toBeUndefined();
+  });
+});
+
+describe('matches', () => {
+  it('should match everything without conditions', () => {
+    expect(matches({}, doc)).toBe(true);
+    expect(matches(null, doc)).toBe(true);
+  });
+
+  it('should match equality', () => {
+    expect(matches({ name: 'a', age: 30 }, doc)).toBe(true);
+    expect(matches({ name: 'a', age: 31 }, doc)).toBe(false);
+    expect(matches({ tags: 'x' }, doc)).toBe(true);
+    expect(matches({ tags: ['x', 'y'] }, doc)).toBe(true);
+    expect(matches({ 'metadata.deleted': null }, doc)).toBe(true);
+    expect(matches({ 'metadata.updated': null }, doc)).toBe(true);
+    expect(matches({ metadata: { deleted: null } }, doc)).toBe(false);
+  });
+
+  it('should match comparison operators', () => {
+    expect(matches({ age: { $gt: 29, $lt: 31 } }, doc)).toBe(true);
+    expect(matches({ age: { $gte: 30, $lte: 30 } }, doc)).toBe(true);
+    expect(matches({ age: { $gt: 30 } }, doc)).toBe(false);
+    expect(matches({ age: { $lt: '40' } }, doc)).toBe(false);
+    expect(matches({ name: { $gt: 'A' } }, doc)).toBe(true);
+    expect(matches({ metadata: { $gt: {} } }, doc)).toBe(false);
+  });
+
+  it('should compare dates with ISO strings', () => {
+    expect(matches({
+      'metadata.created': { $lt: '2021-01-01T00:00:00Z' }
+    }, doc)).toBe(true);
+
+    expect(matches({
+      'metadata.created': '2020-01-01T00:00:00.000Z'
+    }, doc)).toBe(true);
+
+    expect(matches({
+      'metadata.created': { $lt: 'not a date' }
+    }, doc)).toBe(false);
+  });
+
+  it('should match $eq, $ne, $in and $nin', () => {
+    expect(matches({ name: { $eq: 'a' } }, doc)).toBe(true);
+    expect(matches({ name: { $ne: 'a' } }, doc)).toBe(false);
+    expect(matches({ name: { $in: ['a', 'b'] } }, doc)).toBe(true);
+    expect(matches({ name: { $nin: ['a', 'b'] } }, doc)).toBe(false);
+    expect(matches({ tags: { $in: ['y'] } }, doc)).toBe(true);
+  });
+
+  it('should match $exists', () => {
+    expect(matches({ 'metadata.deleted': { $exists: true } }, doc)).toBe(true);
+    expect(matches({ 'metadata.updated': { $exists: false } }, doc))
+      .toBe(true);
+    expect(matches({ name: { $exists: false } }, doc)).toBe(false);
+  });
+
+  it('should match conditions emitted by Provider', () => {
+    const $or = [
+      { metadata:           { $eq:     null  } },
+      { 'metadata.deleted': { $eq:     null  } },
+      { 'metadata.deleted': { $exists: false } }
+    ];
+
+    const deleted = { 'metadata.deleted': { $exists: true, $ne: null } };
+
+    const deletedDoc = { ...doc, metadata: { deleted: new Date() } };
+
+    expect(matches({ $or }, doc)).toBe(true);
+    expect(matches({ $or }, { _id: '2' })).toBe(true);
+    expect(matches({ $or }, deletedDoc)).toBe(false);
+
+    expect(matches(deleted, doc)).toBe(false);
+    expect(matches(deleted, deletedDoc)).toBe(true);
+  });
+
+  it('should match logical operators', () => {
+    expect(matches({ $and: [{ name: 'a' }, { age: 30 }] }, doc)).toBe(true);
+    expect(matches({ $and: [{ name: 'a' }, { age: 31 }] }, doc)).toBe(false);
+    expect(matches({ $nor: [{ name: 'b' }, { age: 31 }] }, doc)).toBe(true);
+    expect(matches({ $or: [{ name: 'b' }, { age: 31 }] }, doc)).toBe(false);
+  });
+
+  it('should throw with unsupported operator', () => {
+    expect(() => matches({ name: { $regex: 'a' } }, doc)).toThrow(
+      'Unsupported operator: $regex'
+    );
+  });
+});
+
+describe('project', () => {
+  it('should return a copy without projection', () => {
+    const result = project(null, doc);
+
+    expect(result).toEqual(doc);
+    expect(result).not.toBe(doc);
+    expect(project({}, doc)).toEqual(doc);
+  });
+
+  it('should include fields', () => {
+    expect(project({ name: 1, 'metadata.created': 1 }, doc)).toEqual({
+      _id:  '1',
+      name: 'a',
+
+      metadata: {
+        created: doc.metadata.created
+      }
+    });
+
+    expect(project({ _id: 0, name: true, missing: 1 }, doc))
+      .toEqual({ name: 'a' });
+
+    expect(project({ _id: 1 }, doc)).toEqual({ _id: '1' });
+  });
+
+  it('should exclude fields', () => {
+    expect(project({ tags: 0, metadata: 0, age: false }, doc))
+      .toEqual({ _id: '1', name: 'a' });
+
+    expect(project({ _id: 0, 'metadata.deleted': 0 }, doc)).toEqual({
+      name: 'a',
+      age:  30,
+      tags: ['x', 'y'],
+
+      metadata: {
+        created: doc.metadata.created
+      }
+    });
+  });
+
+  it('should throw with mixed projection', () => {
+    expect(() => project({ name: 1, age: 0 }, doc)).toThrow();
+  });
+});
+
+describe('applyUpdate', () => {
+  it('should apply operators', () => {
+    const result = applyUpdate({
+      $currentDate: { 'metadata.updated': true },
+      $inc:         { age: 1, count: 2 },
+      $set:         { name: 'b' },
+      $unset:       { tags: true }
+    }, doc);
+
+    expect(result).toMatchObject({
+      _id:   '1',
+      name:  'b',
+      age:   31,
+      count: 2
+    });
+    expect(result.tags).toBeUndefined();
+    expect(result.metadata.updated).toBeInstanceOf(Date);
+
+    expect(doc.name).toBe('a');
+  });
+
+  it('should set fields without operators', () => {
+    expect(applyUpdate({ name: 'b', $set: { age: 1 } }, doc))
+      .toMatchObject({ name: 'b', age: 1 });
+  });
+
+  it('should set on insert only', () => {
+    expect(applyUpdate({ $setOnInsert: { age: 1 } }, doc).age).toBe(30);
+    expect(applyUpdate({ $setOnInsert: { age: 1 } }, doc, true).age).toBe(1);
+  });
+
+  it('should throw with unsupported operator', () => {
+    expect(() => applyUpdate({ $push: { tags: 'z' } }, doc)).toThrow();
+  });
+});
+
+describe('fromConditions', () => {
+  it('should collect equality conditions', () => {
+    expect(fromConditions({
+      name:           'a',
+      'metadata.tag': { $eq: 'x' },
+      age:            { $gt: 1 },
+      $and:           [{ 'metadata.kind': 'b' }],
+      $or:            [{ c: 1 }]
+    })).toEqual({
+      name:     'a',
+      metadata: { tag: 'x', kind: 'b' }
+    });
+  });
+});
+
+describe('parseSort', () => {
+  it('should parse objects and strings', () => {
+    expect(parseSort({ a: 1, b: -1, c: 'desc' }))
+      .toEqual([['a', 1], ['b', -1], ['c', -1]]);
+    expect(parseSort('a -b')).toEqual([['a', 1], ['b', -1]]);
+    expect(parseSort()).toEqual([]);
+  });
+});
+
+describe('sortBy', () => {
+  it('should sort by multiple fields', () => {
+    const docs = [
+      { a: 1, b: 1 },
+      { a: 2, b: 1 },
+      { a: 1, b: 2 },
+      { b: 3 }
+    ];
+
+    expect([...docs].sort(sortBy({ a: -1, b: 1 }))).toEqual([
+      { a: 2, b: 1 },
+      { a: 1, b: 1 },
+      { a: 1, b: 2 },
+      { b: 3 }
+    ]);
+
+    expect([...docs].sort(sortBy('a -b'))).toEqual([
+      { b: 3 },
+      { a: 1, b: 2 },
+      { a: 1, b: 1 },
+      { a: 2, b: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+const {
+  spy
+} = require('sinon');
+
+const {
+  RedisAdapter
+} = require('../');
+
+const {
+  RedisBroker,
+  globToRegExp,
+  testProviderStore
+} = require('./brokers');
+
+function createAdapter(broker = new RedisBroker()) {
+  return new RedisAdapter({
+    publisher:  broker.createClient(),
+    subscriber: broker.createClient()
+  });
+}
+
+describe('RedisAdapter', () => {
+  describe('constructor', () => {
+    it('should throw without args', () => expect(
+      () => new RedisAdapter()
+    ).toThrow());
+
+    it('should throw without subscriber', () => expect(
+      () => new RedisAdapter({ publisher: {} })
+    ).toThrow());
+
+    it('should throw with a single connection', () => {
+      const client = new RedisBroker().createClient();
+
+      expect(() => new RedisAdapter({
+        publisher:  client,
+        subscriber: client
+      })).toThrow();
+    });
+  });
+
+  it('should map subjects to patterns', () => {
+    const broker     = new RedisBroker();
+    const subscriber = broker.createClient();
+    const psubscribe = spy(subscriber, 'psubscribe');
+
+    const adapter = new RedisAdapter({
+      subscriber,
+
+      publisher: broker.createClient()
+    });
+
+    adapter.subscribe('a.*.>', () => {});
+    adapter.subscribe('a?.[b]', () => {});
+
+    expect(psubscribe.firstCall.args[0]).toBe('a.*.*');
+    expect(psubscribe.secondCall.args[0]).toBe('a\\?.\\[b\\]');
+
+    expect(globToRegExp('a\\?.\\[b\\]').test('a?.[b]')).toBeTruthy();
+  });
+
+  it('should keep NATS wildcard semantics', done => {
+    const adapter = createAdapter();
+
+    const received = [];
+
+    const handle = adapter.subscribe('a.*', (msg, replyTo, subject) => {
+      received.push([msg, replyTo, subject]);
+    });
+
+    adapter.ready(handle)
+      .then(() => adapter.publish('a.b.c', 'not received'))
+      .then(() => adapter.publish('a.b', 'received', 'reply'))
+      .then(() => setImmediate(() => {
+        expect(received).toMatchObject([['received', 'reply', 'a.b']]);
+
+        done();
+      }));
+  });
+
+  it('should request', () => {
+    const broker = new RedisBroker();
+
+    const requester = createAdapter(broker);
+    const responder = createAdapter(broker);
+
+    const handle = responder.subscribe('a', (msg, replyTo) => {
+      responder.publish(replyTo, `re: ${msg}`);
+    });
+
+    return responder.ready(handle)
+      .then(() => requester.request('a', 'msg', { timeout: 100 }))
+      .then(reply => expect(reply).toBe('re: msg'));
+  });
+
+  it('should unsubscribe from pattern when no longer used', () => {
+    const broker       = new RedisBroker();
+    const subscriber   = broker.createClient();
+    const punsubscribe = spy(subscriber, 'punsubscribe');
+
+    const adapter = new RedisAdapter({
+      subscriber,
+
+      publisher: broker.createClient()
+    });
+
+    const a = adapter.subscribe('a.*', () => {});
+    const b = adapter.subscribe('a.>', () => {});
+
+    adapter.unsubscribe(a);
+    expect(punsubscribe.called).toBeFalsy();
+
+    adapter.unsubscribe(b);
+    expect(punsubscribe.calledOnceWith('a.*')).toBeTruthy();
+
+    adapter.unsubscribe(b);
+    expect(punsubscribe.calledOnce).toBeTruthy();
+
+    return adapter.ready(b);
+  });
+
+  it('should close both connections', () => {
+    const broker     = new RedisBroker();
+    const publisher  = broker.createClient();
+    const subscriber = broker.createClient();
+
+    const pquit = spy(publisher, 'quit');
+    const squit = spy(subscriber, 'quit');
+
+    return new RedisAdapter({ publisher, subscriber }).close().then(() => {
+      expect(pquit.calledOnce).toBeTruthy();
+      expect(squit.calledOnce).toBeTruthy();
+      expect(subscriber.listenerCount('pmessage')).toBe(0);
+    });
+  });
+
+  describe('with Provider and Store', () => testProviderStore(() => {
+    const broker = new RedisBroker();
+
+    return {
+      provider: createAdapter(broker),
+      store:    createAdapter(broker)
+    };
+  }));
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+const {
+  stub,
+  useFakeTimers
+} = require('sinon');
+
+const {
+  AbortError,
+  createMemoryModel,
+  MemoryTransport,
+  Provider,
+  Store,
+  TimeoutError
+} = require('../');
+
+const {
+  backoff,
+  withRetry
+} = require('../src/retry');
+
+const timeout = new TimeoutError(10, {});
+
+describe('backoff', () => {
+  const options = { jitter: 0, maxDelay: 500, minDelay: 100 };
+
+  it('should double delays up to maxDelay', () => {
+    expect([0, 1, 2, 3].map(n => backoff(options, n)))
+      .toEqual([100, 200, 400, 500]);
+  });
+
+  it('should reduce delays by jitter', () => {
+    for (let i = 0; i < 10; ++i) {
+      const delay = backoff({ ...options, jitter: 0.5 }, 1);
+
+      expect(delay).toBeGreaterThanOrEqual(100);
+      expect(delay).toBeLessThanOrEqual(200);
+    }
+  });
+});
+
+describe('withRetry', () => {
+  const retry = { retries: 2, minDelay: 1, maxDelay: 1 };
+
+  function setup(...results) {
+    const exec = stub();
+
+    results.forEach((result, i) => result instanceof Error
+      ? exec.onCall(i).rejects(result)
+      : exec.onCall(i).resolves(result)
+    );
+
+    const execFor = stub().returns(exec);
+
+    return { exec, execFor };
+  }
+
+  it('should not wrap without retries', () => {
+    const { exec, execFor } = setup();
+
+    expect(withRetry(execFor, 100)).toBe(exec);
+    expect(execFor.args).toEqual([[100]]);
+  });
+
+  it('should retry timeouts within deadline', async() => {
+    const { exec, execFor } = setup(timeout, timeout, 1);
+
+    const signal = {
+      aborted: false,
+
+      addEventListener()    {},
+      removeEventListener() {}
+    };
+
+    expect(await withRetry(execFor, 300, retry)({ a: 1 }, signal)).toBe(1);
+
+    expect(exec.args).toEqual([
+      [{ a: 1 }, signal],
+      [{ a: 1 }, signal],
+      [{ a: 1 }, signal]
+    ]);
+    // Attempts share the deadline
+    for (const [attemptTimeout] of execFor.args)
+      expect(attemptTimeout).toBeLessThanOrEqual(100);
+  });
+
+  it('should reject after retries', async() => {
+    const { exec, execFor } = setup(timeout, timeout, timeout);
+
+    await expect(withRetry(execFor, 300, retry)({})).rejects.toBe(timeout);
+
+    expect(exec.callCount).toBe(3);
+  });
+
+  it('should not retry when aborted', async() => {
+    const { exec, execFor } = setup(timeout, 1);
+
+    await expect(withRetry(execFor, 300, retry)({}, { aborted: true }))
+      .rejects.toBe(timeout);
+
+    expect(exec.calledOnce).toBeTruthy();
+  });
+
+  it('should reject when aborted during backoff', async() => {
+    const clock = useFakeTimers();
+
+    try {
+      const { exec, execFor } = setup(timeout, 1);
+
+      let onAbort;
+      const signal = {
+        aborted: false,
+
+        addEventListener:    (event, fn) => { onAbort = fn; },
+        removeEventListener: () => { onAbort = undefined; }
+      };
+
+      const result = withRetry(execFor, 3000, {
+        ...retry,
+
+        minDelay: 1000,
+        maxDelay: 1000,
+        jitter:   0
+      })({ a: 1 }, signal);
+
+      // Lets the first attempt fail and the backoff start
+      await Promise.resolve();
+      await Promise.resolve();
+
+      signal.aborted = true;
+      onAbort();
+
+      await expect(result).rejects.toBeInstanceOf(AbortError);
+      await expect(result).rejects.toMatchObject({ query: { a: 1 } });
+      expect(exec.calledOnce).toBeTruthy();
+      expect(clock.countTimers()).toBe(0);
+      expect(onAbort).toBeUndefined();
+    }
+    finally {
+      clock.restore();
+    }
+  });
+
+  it('should retry transport timeouts', async() => {
+    const error = Object.assign(new Error('timed out'), {
+      code: 'REQ_TIMEOUT'
+    });
+    const { execFor } = setup(error, 1);
+
+    expect(await withRetry(execFor, 300, retry)({})).toBe(1);
+  });
+
+  it('should not retry other errors', async() => {
+    const error = new Error('failed');
+    const { exec, execFor } = setup(error, 1);
+
+    await expect(withRetry(execFor, 300, retry)({})).rejects.toBe(error);
+
+    expect(exec.calledOnce).toBeTruthy();
+  });
+
+  it('should retry errors matching retryOn', async() => {
+    const { execFor } = setup(new Error('failed'), 1);
+
+    expect(await withRetry(execFor, 300, {
+      ...retry,
+
+      retryOn: err => err.message === 'failed'
+    })({})).toBe(1);
+  });
+
+  it('should not retry past deadline', async() => {
+    const { exec, execFor } = setup(timeout, 1);
+
+    await expect(withRetry(execFor, 300, {
+      ...retry,
+
+      minDelay: 1000,
+      maxDelay: 1000,
+      jitter:   0
+    })({})).rejects.toBe(timeout);
+
+    expect(exec.calledOnce).toBeTruthy();
+  });
+});
+
+describe('Provider', () => {
+  const schema = {
+    name: 'User',
+
+    fields: {}
+  };
+
+  it('should retry queries until store is opened', async() => {
+    const transport = new MemoryTransport();
+
+    const provider = new Provider({
+      schema,
+      transport,
+
+      options: {
+        retry:   { retries: 3, minDelay: 10 },
+        timeout: 800
+      }
+    });
+
+    const store = new Store({
+      schema,
+      transport,
+
+      buildModel: createMemoryModel
+    });
+
+    setTimeout(() => store.open(), 250);
+
+    expect(await provider.countAll()).toBe(0);
+
+    store.close();
+  });
+});
@@ -0,0 +1,372 @@
+'use strict';
+
+const {
+  createSqliteModel,
+  MemoryTransport,
+  Provider,
+  Store
+} = require('../');
+
+const {
+  Types
+} = require('../src/schema');
+
+// better-sqlite3 is a native module that is not installed by default and
+// fails to load when built for another Node version
+function loadBetterSqlite() {
+  try {
+    const Database = require('better-sqlite3');
+
+    new Database(':memory:').close();
+
+    return Database;
+  }
+  catch (_) {
+    return undefined;
+  }
+}
+
+const Database = loadBetterSqlite();
+
+// node:sqlite is only available in recent Node versions and cannot be required
+// through Jest module registry
+const sqlite = typeof process.getBuiltinModule === 'function'
+  ? process.getBuiltinModule('node:sqlite')
+  : undefined;
+
+const drivers = [
+  ...Database
+    ? [['better-sqlite3', () => new Database(':memory:')]]
+    : [],
+
+  ...sqlite
+    ? [['node:sqlite', () => new sqlite.DatabaseSync(':memory:')]]
+    : []
+];
+
+// Jest rejects empty `each` tables
+const describeDrivers = drivers.length > 0
+  ? describe.each(drivers)
+  : (_, fn) => describe.skip('with sqlite', fn);
+
+const schema = {
+  name: 'User',
+
+  fields: ({ Mixed, ObjectId }) => ({
+    name: {
+      type: String
+    },
+
+    age: Number,
+
+    active: {
+      type: Boolean
+    },
+
+    group: {
+      type: ObjectId
+    },
+
+    tags: [String],
+
+    data: {
+      type: Mixed
+    },
+
+    metadata: {
+      deleted: {
+        type: Date
+      },
+
+      updated: {
+        type: Date
+      }
+    }
+  })
+};
+
+// Records statements and returns `rows` from `all` and `get`
+function fakeDb(rows = []) {
+  const statements = [];
+
+  return {
+    statements,
+
+    exec(sql) {
+      statements.push({ sql });
+    },
+
+    prepare(sql) {
+      const record = params => {
+        statements.push({ sql, params });
+
+        return rows;
+      };
+
+      return {
+        all: (...params) => record(params),
+        get: (...params) => record(params)[0],
+        run: (...params) => {
+          record(params);
+
+          return { changes: rows.length };
+        }
+      };
+    }
+  };
+}
+
+const last = db => db.statements[db.statements.length - 1];
+
+describe('createSqliteModel', () => {
+  it('should throw without db', () => {
+    expect(() => createSqliteModel(schema)).toThrow('db must be set');
+  });
+
+  it('should create a table from schema fields', () => {
+    const db = fakeDb();
+
+    createSqliteModel(schema, { db });
+
+    expect(db.statements[0].sql).toBe(
+      'CREATE TABLE IF NOT EXISTS "User" ("_id" TEXT PRIMARY KEY, ' +
+      '"name" TEXT, "age" REAL, "active" INTEGER, "group" TEXT, ' +
+      '"tags" TEXT, "data" TEXT, "metadata.deleted" TEXT, ' +
+      '"metadata.updated" TEXT)'
+    );
+  });
+
+  it('should add missing columns', () => {
+    const db = fakeDb([{ name: '_id' }, { name: 'name' }]);
+
+    createSqliteModel({ name: 'User', fields: { name: String, age: Number } }, {
+      db,
+      table: 'users'
+    });
+
+    expect(last(db).sql).toBe('ALTER TABLE "users" ADD COLUMN "age" REAL');
+  });
+
+  describe('translation', () => {
+    function setup(rows) {
+      const db = fakeDb(rows);
+
+      return { db, model: createSqliteModel(schema, { db }) };
+    }
+
+    it('should translate conditions', async() => {
+      const { db, model } = setup([{ count: 2 }]);
+
+      expect(await model.count({
+        age:    { $gte: 18, $lt: 65 },
+        name:   { $in: ['a', null] },
+        active: true,
+        $or:    [
+          { metadata: { $eq: null } },
+          { 'metadata.deleted': { $exists: false } }
+        ]
+      })).toBe(2);
+
+      expect(last(db)).toEqual({
+        sql: 'SELECT COUNT(*) AS count FROM "User" WHERE ' +
+          '(COALESCE("age" >= ?, 0) AND COALESCE("age" < ?, 0)) AND ' +
+          '("name" IS ? OR "name" IS NULL) AND "active" IS ? AND ' +
+          '(("metadata.deleted" IS NULL AND "metadata.updated" IS NULL) ' +
+          'OR "metadata.deleted" IS NULL)',
+        params: [18, 65, 'a', 1]
+      });
+    });
+
+    it('should match array elements', async() => {
+      const { db, model } = setup([{ count: 0 }]);
+
+      await model.count({ tags: 'a', $nor: [{ age: { $ne: 1 } }] });
+
+      expect(last(db)).toEqual({
+        sql: 'SELECT COUNT(*) AS count FROM "User" WHERE ' +
+          'EXISTS (SELECT 1 FROM json_each("tags") WHERE value = ?) AND ' +
+          'NOT (NOT "age" IS ?)',
+        params: ['a', 1]
+      });
+    });
+
+    it('should translate projection and options', async() => {
+      const { db, model } = setup([
+        { _id: '1', name: 'a', 'metadata.deleted': '2020-01-01T00:00:00.000Z' }
+      ]);
+
+      expect(await model.find({}, { name: 1, metadata: 1 }, {
+        limit: 10,
+        skip:  20,
+        sort:  { age: -1, name: 1 }
+      })).toEqual([{
+        _id:      '1',
+        name:     'a',
+        metadata: { deleted: new Date('2020-01-01T00:00:00.000Z') }
+      }]);
+
+      expect(last(db)).toEqual({
+        sql: 'SELECT "_id", "name", "metadata.deleted", "metadata.updated" ' +
+          'FROM "User" WHERE 1 ORDER BY "age" DESC, "name" ASC ' +
+          'LIMIT ? OFFSET ?',
+        params: [10, 20]
+      });
+    });
+
+    it('should translate update operators', async() => {
+      const { db, model } = setup([{}]);
+
+      expect(await model.update({ _id: '1' }, {
+        name:         'b',
+        $inc:         { age: 1 },
+        $unset:       { tags: 1 },
+        $setOnInsert: { group: 'x' }
+      })).toEqual({ n: 1, nModified: 1, ok: 1 });
+
+      expect(last(db)).toEqual({
+        sql: 'UPDATE "User" SET "name" = ?, "age" = COALESCE("age", 0) + ?, ' +
+          '"tags" = NULL WHERE rowid IN ' +
+          '(SELECT rowid FROM "User" WHERE "_id" IS ? LIMIT 1)',
+        params: ['b', 1, '1']
+      });
+    });
+
+    it('should translate remove', async() => {
+      const { db, model } = setup([{ _id: '1' }]);
+
+      expect(await model.remove({ age: 1 }, { _id: 1 }))
+        .toEqual([{ _id: '1' }]);
+
+      expect(last(db)).toEqual({
+        sql: 'DELETE FROM "User" WHERE "age" IS ? RETURNING "_id"',
+        params: [1]
+      });
+    });
+
+    it('should reject unknown fields', () => expect(
+      setup().model.find({ unknown: 1 })
+    ).rejects.toThrow('Unknown field: unknown'));
+
+    it('should reject unsupported operators', () => expect(
+      setup().model.find({ age: { $mod: [2] } })
+    ).rejects.toThrow('Unsupported operator: $mod'));
+
+    it('should reject unsupported update operators', () => expect(
+      setup().model.update({}, { $push: { tags: 'a' } })
+    ).rejects.toThrow('Unsupported update operator: $push'));
+
+    it('should reject conditions on nested objects', () => expect(
+      setup().model.find({ metadata: { deleted: null } })
+    ).rejects.toThrow('Unsupported condition on nested object: metadata'));
+  });
+
+  describeDrivers('with %s', (_, openDb) => {
+    const setup = () => createSqliteModel(schema, { db: openDb() });
+
+    it('should create and find', async() => {
+      const model = setup();
+
+      const created = await model.create([
+        { name: 'a', age: 30, tags: ['x', 'y'], data: { a: [1] }, extra: 1 },
+        { name: 'b', age: 20, active: false }
+      ], { name: 1, tags: 1, data: 1, active: 1, extra: 1 });
+
+      expect(created).toEqual([
+        { _id: created[0]._id, name: 'a', tags: ['x', 'y'], data: { a: [1] } },
+        { _id: created[1]._id, name: 'b', active: false }
+      ]);
+
+      expect(await model.find({ tags: 'y' }, { _id: 0, name: 1 }))
+        .toEqual([{ name: 'a' }]);
+      expect(await model.find({ age: { $ne: 30 } }, { _id: 0, name: 1 }))
+        .toEqual([{ name: 'b' }]);
+      expect(await model.find({}, { name: 1 }, { sort: '-age', skip: 1 }))
+        .toEqual([{ _id: created[1]._id, name: 'b' }]);
+    });
+
+    it('should roll back failed batches', async() => {
+      const model = setup();
+
+      await expect(model.create([{ _id: '1' }, { _id: '1' }])).rejects
+        .toThrow();
+      expect(await model.count()).toBe(0);
+    });
+
+    it('should update', async() => {
+      const model = setup();
+
+      await model.create([{ name: 'a', age: 1 }, { name: 'b', age: 2 }]);
+
+      expect(await model.update({}, {
+        $inc:         { age: 10 },
+        $currentDate: { 'metadata.deleted': true }
+      }, { multi: true })).toEqual({ n: 2, nModified: 2, ok: 1 });
+
+      expect(await model.find({ 'metadata.deleted': { $lte: new Date() } },
+        { _id: 0, age: 1 }
+      )).toEqual([{ age: 11 }, { age: 12 }]);
+
+      expect(await model.update({ name: 'a' }, {
+        $set: { metadata: { updated: new Date(0) } }
+      })).toEqual({ n: 1, nModified: 1, ok: 1 });
+
+      expect(await model.find({ name: 'a' }, { _id: 0, metadata: 1 }))
+        .toEqual([{ metadata: { updated: new Date(0) } }]);
+    });
+
+    it('should upsert', async() => {
+      const model = setup();
+
+      const { upserted: [{ _id }] } = await model.update(
+        { name: 'a' }, { $inc: { age: 1 } }, { upsert: true }
+      );
+
+      expect(await model.update({ name: 'a' }, { $inc: { age: 1 } }, {
+        upsert: true
+      })).toEqual({ n: 1, nModified: 1, ok: 1 });
+
+      expect(await model.find({}, { name: 1, age: 1 }))
+        .toEqual([{ _id, name: 'a', age: 2 }]);
+    });
+
+    it('should remove', async() => {
+      const model = setup();
+
+      await model.create([{ name: 'a', age: 1 }, { name: 'b', age: 2 }]);
+
+      expect(await model.remove({ age: { $gt: 1 } }, { _id: 0, name: 1 }))
+        .toEqual([{ name: 'b' }]);
+      expect(await model.count()).toBe(1);
+    });
+
+    it('should work with Provider and Store', async() => {
+      const transport = new MemoryTransport();
+
+      const store = new Store({
+        schema,
+        transport,
+
+        buildModel: _schema => createSqliteModel(_schema, { db: openDb() })
+      });
+
+      store.open();
+
+      const provider = new Provider({ schema, transport });
+
+      const { _id } = await provider.create({ name: 'a' }, { _id: 1 });
+
+      await provider.deleteById(_id, { _id: 1 });
+
+      expect(await provider.countAll()).toBe(0);
+
+      store.close();
+    });
+  });
+});
+
+describe('Types', () => {
+  it('should be named', () => {
+    expect(Types.Mixed.name).toBe('Mixed');
+    expect(Types.ObjectId.name).toBe('ObjectId');
+  });
+});
@@ -6,13 +6,18 @@ const {
 
 const {
   spy,
-  stub
+  stub,
+  useFakeTimers
 } = require('sinon');
 
 const {
+  createMemoryModel,
   getSubjects: _getSubjects,
+  MemoryTransport,
+  Provider,
   Store,
-  StoreEvents
+  StoreEvents,
+  ValidationError
 } = require('../');
 
 const {
@@ -59,6 +64,7 @@ describe('Store', () => {
       expect(store._onCount).toBeInstanceOf(Function);
       expect(store._onCreate).toBeInstanceOf(Function);
       expect(store._onFind).toBeInstanceOf(Function);
+      expect(store._onRemove).toBeInstanceOf(Function);
       expect(store._onUpdate).toBeInstanceOf(Function);
 
       expect(store._subjects).toMatchObject(getSubjects(goodSchema.name));
@@ -112,9 +118,9 @@ describe('Store', () => {
       })).toThrow());
   });
 
-  function getGoodStore(subscribe = spy()) {
+  function getGoodStore(subscribe = spy(), _buildModel = buildModel) {
     return new Store({
-      buildModel,
+      buildModel: _buildModel,
 
       schema:    goodSchema,
       transport: {
@@ -157,6 +163,21 @@ describe('Store', () => {
       expect(store._sids).toMatchObject([1, 2, 3, 4, 5, 6, 7, 8]);
     });
 
+    it('should subscribe to remove when model supports it', () => {
+      const subscribe = stub().returnsArg(0);
+
+      const store = getGoodStore(subscribe, () => ({
+        ...buildModel(),
+
+        remove: F
+      }));
+
+      store.open();
+
+      expect(store._sids).toHaveLength(10);
+      expect(store._sids.slice(8)).toMatchObject(subjects.remove);
+    });
+
     it('should throw when already opened', () => {
       const store = getGoodStore();
 
@@ -216,6 +237,7 @@ describe('Store', () => {
           count:  F,
           create: F,
           find:   F,
+          remove: F,
           update: F
         };
 
@@ -254,6 +276,7 @@ describe('Store', () => {
           count:  reject,
           create: reject,
           find:   reject,
+          remove: reject,
           update: reject
         });
 
@@ -343,6 +366,55 @@ describe('Store', () => {
     );
   });
 
+  describe('_onRemove', () => {
+    const conditions = { id: 1 };
+    const projection = { a: 1 };
+
+    const msg  = { conditions, projection };
+    const args = [ conditions, projection ];
+
+    const resolved = {
+      result: [{ a: 1 }]
+    };
+
+    testOn(
+      '_onRemove',
+      'remove',
+      StoreEvents.RemoveError,
+      msg,
+      args,
+      resolved
+    );
+
+    it('should return error when model has no remove', async() => {
+      const publish = stub();
+
+      const store = new Store({
+        buildModel,
+
+        schema: goodSchema,
+
+        transport: {
+          publish,
+
+          subscribe()   {},
+          unsubscribe() {}
+        }
+      });
+
+      await store._onRemove(JSON.stringify(msg), 'replyTo');
+
+      expect(publish.calledOnce).toBe(true);
+      expect(publish.firstCall.args[0]).toBe('replyTo');
+      expect(JSON.parse(publish.firstCall.args[1])).toEqual({
+        error: {
+          code:    'INTERNAL',
+          message: 'Schema model does not support remove'
+        }
+      });
+    });
+  });
+
   describe('_onUpdate', () => {
     const conditions = { id: 1 };
     const object     = { a: 1 };
@@ -362,5 +434,528 @@ describe('Store', () => {
       args,
       resolved
     );
+
+    it('should merge options', done => {
+      const update = stub().resolves({});
+
+      const store = new Store({
+        buildModel: () => ({ ...buildModel(), update }),
+
+        schema: goodSchema,
+
+        transport: {
+          publish() {
+            expect(update.firstCall.args).toEqual([
+              conditions,
+              object,
+              { multi: false, upsert: true, select: { a: 1 } }
+            ]);
+
+            done();
+          },
+
+          subscribe()   {},
+          unsubscribe() {}
+        }
+      });
+
+      store._onUpdate(JSON.stringify({
+        conditions,
+        object,
+
+        options:    { multi: false, upsert: true },
+        projection: { a: 1 }
+      }), 'replyTo');
+    });
+  });
+
+  describe('notifications', () => {
+    const schema = {
+      name: 'User',
+
+      fields: {
+        metadata: {
+          deleted: {}
+        }
+      }
+    };
+
+    function setup(options = {}) {
+      const transport = new MemoryTransport();
+
+      const store = new Store({
+        schema,
+        transport,
+
+        buildModel: createMemoryModel,
+        notify:     true,
+
+        ...options
+      });
+
+      store.open();
+
+      const provider = new Provider({ schema, transport });
+
+      const received = [];
+
+      const next = event => new Promise(resolve => transport.subscribe(
+        `${event}.user`,
+        msg => {
+          received.push(event);
+          resolve(JSON.parse(msg).object);
+        }
+      ));
+
+      return { next, provider, received, store, transport };
+    }
+
+    it('should publish persisted entities', async() => {
+      const { next, provider } = setup();
+
+      const created = next('created');
+
+      const { _id } = await provider.create({ a: 1 }, { a: 1 });
+
+      expect(await created).toEqual({ _id, a: 1 });
+
+      const updated = next('updated');
+
+      await provider.updateById(_id, { $set: { b: 2 } }, { _id: 1 });
+
+      expect(await updated).toMatchObject({ _id, a: 1, b: 2 });
+
+      const deleted = next('deleted');
+
+      await provider.deleteById(_id, { _id: 1 });
+
+      expect(await deleted).toMatchObject({
+        _id,
+        metadata: { deleted: expect.any(String) }
+      });
+
+      const { _id: removedId } = await provider.create({ a: 2 }, { _id: 1 });
+
+      const removed = next('deleted');
+
+      await provider.removeById(removedId, { _id: 1 });
+
+      expect(await removed).toEqual({ _id: removedId });
+    });
+
+    it('should publish upserted entities', async() => {
+      const { next, provider } = setup();
+
+      const upserted = next('updated');
+
+      const { entity } = await provider.upsert({ a: 1 }, { b: 2 }, { _id: 1 });
+
+      expect(await upserted).toMatchObject({ ...entity, a: 1, b: 2 });
+    });
+
+    it('should not publish failed or unmatched requests', async() => {
+      const { next, received, store } = setup({
+        buildModel: _schema => ({
+          ...createMemoryModel(_schema),
+
+          create: () => Promise.reject(new Error('create failed'))
+        })
+      });
+
+      next('created');
+      next('updated');
+
+      await store._onCreate(JSON.stringify({ object: { a: 1 } }), 'replyTo');
+      await store._onUpdate(JSON.stringify({
+        conditions: { a: 1 },
+        object:     { $set: { b: 2 } }
+      }), 'replyTo');
+
+      await new Promise(setImmediate);
+
+      expect(received).toEqual([]);
+    });
+
+    it('should publish in batches', async() => {
+      const { provider, transport } = setup({ notifyBatchSize: 2 });
+
+      const published = [];
+      transport.subscribe('updated.user', msg => published.push(
+        JSON.parse(msg).object
+      ));
+
+      await provider.create([{ a: 1 }, { a: 2 }, { a: 3 }], { _id: 1 });
+      await provider.update({}, { $set: { b: 1 } }, { _id: 1 });
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(published).toMatchObject([
+        [{ a: 1, b: 1 }, { a: 2, b: 1 }],
+        { a: 3, b: 1 }
+      ]);
+    });
+
+    it('should not publish when disabled', async() => {
+      const { next, provider, received } = setup({ notify: false });
+
+      next('created');
+
+      await provider.create({ a: 1 }, { _id: 1 });
+
+      expect(received).toEqual([]);
+    });
+
+    it('should not find updated entities when disabled', async() => {
+      const find = spy();
+
+      const { store } = setup({
+        buildModel: _schema => ({ ...createMemoryModel(_schema), find }),
+        notify:     false
+      });
+
+      await store._onUpdate(JSON.stringify({
+        conditions: { a: 1 },
+        object:     { $set: { b: 2 } }
+      }), 'replyTo');
+
+      expect(find.called).toBe(false);
+    });
+
+    it('should update the entity notified about', async() => {
+      let update;
+
+      const { next, provider, store } = setup({
+        buildModel: _schema => {
+          const model = createMemoryModel(_schema);
+
+          update = spy(model.update);
+
+          return { ...model, update };
+        }
+      });
+
+      await provider.create([{ a: 1 }, { a: 1 }], { _id: 1 });
+
+      const updated = next('updated');
+
+      await store._onUpdate(JSON.stringify({
+        conditions: { a: 1 },
+        object:     { $set: { b: 2 } }
+      }), 'replyTo');
+
+      const { _id } = await updated;
+
+      expect(update.firstCall.args[0]).toEqual({ a: 1, _id });
+    });
+
+    it('should emit notify errors', done => {
+      const { provider, store } = setup({
+        buildModel: _schema => ({
+          ...createMemoryModel(_schema),
+
+          find: () => Promise.reject(new Error('find failed'))
+        })
+      });
+
+      store.on(StoreEvents.NotifyError, err => {
+        expect(err.message).toBe('find failed');
+
+        done();
+      });
+
+      provider.create({ a: 1 }, { _id: 1 }).catch(done);
+    });
+  });
+
+  describe('item results', () => {
+    function setup(ordered) {
+      const create = stub();
+
+      create.resolvesArg(0);
+      create.withArgs({ a: 2 }).rejects(new ValidationError('invalid'));
+
+      const publish = stub();
+
+      const store = new Store({
+        buildModel: () => ({ ...buildModel(), create }),
+
+        schema:    goodSchema,
+        transport: { ...goodTransport, publish },
+
+        notify: false
+      });
+
+      const msg = {
+        object:     [{ a: 1 }, { a: 2 }, { a: 3 }],
+        options:    { itemResults: true, ordered },
+        projection: { a: 1 }
+      };
+
+      return store._onCreate(JSON.stringify(msg), 'replyTo').then(() => ({
+        create,
+        result: JSON.parse(publish.firstCall.args[1]).result
+      }));
+    }
+
+    const invalid = {
+      error: { code: 'VALIDATION', message: 'invalid' }
+    };
+
+    it('should skip objects after a failure when ordered', async() => {
+      const { create, result } = await setup(true);
+
+      expect(result).toEqual([
+        { result: { a: 1 } },
+        invalid,
+        { error: { code: 'SKIPPED', message: expect.any(String) } }
+      ]);
+      expect(create.callCount).toBe(2);
+    });
+
+    it('should create all objects when unordered', async() => {
+      const { create, result } = await setup(false);
+
+      expect(result).toEqual([
+        { result: { a: 1 } },
+        invalid,
+        { result: { a: 3 } }
+      ]);
+      expect(create.callCount).toBe(3);
+    });
+  });
+
+  describe('errors', () => {
+    function testError(err, error) {
+      return async() => {
+        const publish = stub();
+
+        const store = new Store({
+          buildModel: () => ({
+            ...buildModel(),
+
+            find: () => Promise.reject(err)
+          }),
+
+          schema:    goodSchema,
+          transport: { ...goodTransport, publish }
+        });
+
+        await store._onFind(JSON.stringify({}), 'replyTo');
+
+        expect(JSON.parse(publish.firstCall.args[1])).toEqual({ error });
+      };
+    }
+
+    it('should reply typed errors with code and details', testError(
+      new ValidationError('invalid', { field: 'a' }),
+      { code: 'VALIDATION', message: 'invalid', details: { field: 'a' } }
+    ));
+
+    it('should reply Mongo duplicate key errors as conflicts', testError(
+      Object.assign(new Error('E11000'), { code: 11000 }),
+      { code: 'CONFLICT', message: 'E11000' }
+    ));
+
+    it('should reply other errors as internal', testError(
+      new Error('failed'),
+      { code: 'INTERNAL', message: 'failed' }
+    ));
+  });
+
+  describe('deadline', () => {
+    function setup(model) {
+      const publish = stub();
+
+      const store = new Store({
+        buildModel: () => ({ ...buildModel(), ...model }),
+
+        schema:    goodSchema,
+        transport: { ...goodTransport, publish },
+
+        notify: false
+      });
+
+      return { publish, store };
+    }
+
+    it('should skip expired requests', async() => {
+      const find = stub().resolves([]);
+      const { publish, store } = setup({ find });
+
+      const expired = spy();
+      store.on(StoreEvents.DeadlineExceeded, expired);
+
+      await store._onFind(JSON.stringify({
+        conditions: {},
+        timeout:    0
+      }), 'replyTo');
+
+      expect(find.called).toBe(false);
+      expect(publish.called).toBe(false);
+      expect(expired.firstCall.args).toEqual([{
+        conditions: {},
+        deadline:   expect.any(Number)
+      }]);
+    });
+
+    it('should use local clock for deadline', async() => {
+      const find = stub().resolves([]);
+      const { store } = setup({ find });
+
+      // Absolute deadlines of other clocks are ignored
+      await store._onFind(JSON.stringify({
+        conditions: {},
+        deadline:   Date.now() - 1000,
+        timeout:    100
+      }), 'replyTo');
+
+      const [, , { maxTimeMS }] = find.firstCall.args;
+
+      expect(maxTimeMS).toBeGreaterThan(0);
+      expect(maxTimeMS).toBeLessThanOrEqual(100);
+    });
+
+    it('should pass remaining time to find', async() => {
+      const find = stub().resolves([]);
+      const { store } = setup({ find });
+
+      await store._onFind(JSON.stringify({
+        conditions: {},
+        options:    { limit: 1 },
+        timeout:    1000
+      }), 'replyTo');
+
+      const [, , { limit, maxTimeMS }] = find.firstCall.args;
+
+      expect(limit).toBe(1);
+      expect(maxTimeMS).toBeGreaterThan(0);
+      expect(maxTimeMS).toBeLessThanOrEqual(1000);
+    });
+
+    it('should pass remaining time to update', async() => {
+      const update = stub().resolves({});
+      const { store } = setup({ update });
+
+      await store._onUpdate(JSON.stringify({
+        conditions: {},
+        object:     {},
+        timeout:    1000
+      }), 'replyTo');
+
+      const [, , { multi, maxTimeMS }] = update.firstCall.args;
+
+      expect(multi).toBe(true);
+      expect(maxTimeMS).toBeGreaterThan(0);
+      expect(maxTimeMS).toBeLessThanOrEqual(1000);
+    });
+
+    it('should pass remaining time to count, create and remove', async() => {
+      const count  = stub().resolves(0);
+      const create = stub().resolves({});
+      const remove = stub().resolves([]);
+      const { store } = setup({ count, create, remove });
+
+      const msg = { conditions: {}, object: {}, timeout: 1000 };
+
+      await store._onCount(JSON.stringify(msg), 'replyTo');
+      await store._onCreate(JSON.stringify(msg), 'replyTo');
+      await store._onRemove(JSON.stringify(msg), 'replyTo');
+
+      for (const { args } of [count.firstCall, create.firstCall,
+        remove.firstCall]) {
+        const { maxTimeMS } = args[args.length - 1];
+
+        expect(maxTimeMS).toBeGreaterThan(0);
+        expect(maxTimeMS).toBeLessThanOrEqual(1000);
+      }
+    });
+
+    describe('while processed', () => {
+      let clock;
+
+      beforeEach(() => {
+        clock = useFakeTimers();
+      });
+
+      afterEach(() => clock.restore());
+
+      const delay = ms => () => new Promise(resolve => setTimeout(resolve, ms));
+
+      it('should skip updates expired before they are written', async() => {
+        const find   = stub().callsFake(delay(20));
+        const update = stub().resolves({});
+
+        const publish = stub();
+        const store   = new Store({
+          buildModel: () => ({ ...buildModel(), find, update }),
+
+          schema:    goodSchema,
+          transport: { ...goodTransport, publish },
+
+          notify: true
+        });
+
+        const expired = spy();
+        store.on(StoreEvents.DeadlineExceeded, expired);
+
+        const updated = store._onUpdate(JSON.stringify({
+          conditions: {},
+          object:     {},
+          timeout:    10
+        }), 'replyTo');
+
+        await clock.tickAsync(20);
+        await updated;
+
+        expect(find.calledOnce).toBe(true);
+        expect(update.called).toBe(false);
+        expect(publish.called).toBe(false);
+        expect(expired.calledOnce).toBe(true);
+      });
+
+      it('should skip repeated requests expired while waiting', async() => {
+        const update = stub().callsFake(delay(20));
+        const { publish, store } = setup({ update });
+
+        const expired = spy();
+        store.on(StoreEvents.DeadlineExceeded, expired);
+
+        const msg = { conditions: {}, idempotencyKey: 'a', object: {} };
+
+        const updated = Promise.all([
+          store._onUpdate(JSON.stringify({ ...msg, timeout: 100 }), 'first'),
+          store._onUpdate(JSON.stringify({ ...msg, timeout: 10 }), 'second')
+        ]);
+
+        await clock.tickAsync(20);
+        await updated;
+
+        expect(update.calledOnce).toBe(true);
+        expect(publish.args.map(([replyTo]) => replyTo)).toEqual(['first']);
+        expect(expired.calledOnce).toBe(true);
+      });
+    });
+
+    it('should receive deadline from Provider', async() => {
+      const schema    = { name: 'User', fields: {} };
+      const transport = new MemoryTransport();
+
+      const find = stub().resolves([]);
+
+      new Store({
+        schema,
+        transport,
+
+        buildModel: () => ({ ...createMemoryModel(schema), find })
+      }).open();
+
+      await new Provider({ schema, transport, options: { timeout: 500 } })
+        .findById(1, { _id: 1 });
+
+      const [, , { maxTimeMS }] = find.firstCall.args;
+
+      expect(maxTimeMS).toBeGreaterThan(0);
+      expect(maxTimeMS).toBeLessThanOrEqual(500);
+    });
   });
 });
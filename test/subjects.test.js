@@ -1,7 +1,8 @@
 'use strict';
 
 const {
-  getSubjects
+  getSubjects,
+  matchSubject
 } = require('../');
 
 describe('getSubjects', () => {
@@ -9,10 +10,16 @@ describe('getSubjects', () => {
     const subjects = getSubjects('schema');
 
     expect(subjects).toMatchObject({
-      count:  ['count.schema',  'count.schema.>'],
-      create: ['create.schema', 'create.schema.>'],
-      find:   ['find.schema',   'find.schema.>'],
-      update: ['update.schema', 'update.schema.>']
+      count:   ['count.schema',   'count.schema.>'],
+      create:  ['create.schema',  'create.schema.>'],
+      created: ['created.schema', 'created.schema.>'],
+      delete:  ['delete.schema',  'delete.schema.>'],
+      deleted: ['deleted.schema', 'deleted.schema.>'],
+      dlq:     ['dlq.schema',     'dlq.schema.>'],
+      find:    ['find.schema',    'find.schema.>'],
+      remove:  ['remove.schema',  'remove.schema.>'],
+      update:  ['update.schema',  'update.schema.>'],
+      updated: ['updated.schema', 'updated.schema.>']
     });
   });
 
@@ -22,7 +29,8 @@ describe('getSubjects', () => {
         count : 'a',
         create: 'b',
         find:   'c',
-        update: 'd'
+        update: 'd',
+        remove: 'e'
       }
     });
 
@@ -30,10 +38,24 @@ describe('getSubjects', () => {
       count:  ['a.schema', 'a.schema.>'],
       create: ['b.schema', 'b.schema.>'],
       find:   ['c.schema', 'c.schema.>'],
+      remove: ['e.schema', 'e.schema.>'],
       update: ['d.schema', 'd.schema.>']
     });
   });
 
+  it('should fall back to default prefixes', () => {
+    const subjects = getSubjects('schema', {
+      prefixes: {
+        count: 'a'
+      }
+    });
+
+    expect(subjects).toMatchObject({
+      count:  ['a.schema',      'a.schema.>'],
+      remove: ['remove.schema', 'remove.schema.>']
+    });
+  });
+
   it('should work with custom suffix', () => {
     const subjects = getSubjects('schema', { suffix: 'customer' });
 
@@ -64,3 +86,31 @@ describe('getSubjects', () => {
     });
   });
 });
+
+describe('matchSubject', () => {
+  it('should match literal subjects', () => {
+    expect(matchSubject('a.b', 'a.b')).toBe(true);
+    expect(matchSubject('a.b', 'a.c')).toBe(false);
+    expect(matchSubject('a.b', 'a.b.c')).toBe(false);
+    expect(matchSubject('a.b.c', 'a.b')).toBe(false);
+  });
+
+  it('should match a single token with *', () => {
+    expect(matchSubject('a.*.c', 'a.b.c')).toBe(true);
+    expect(matchSubject('a.*', 'a.b')).toBe(true);
+    expect(matchSubject('a.*', 'a.b.c')).toBe(false);
+    expect(matchSubject('a.*', 'a')).toBe(false);
+  });
+
+  it('should match one or more tokens with >', () => {
+    expect(matchSubject('a.>', 'a.b')).toBe(true);
+    expect(matchSubject('a.>', 'a.b.c')).toBe(true);
+    expect(matchSubject('a.>', 'a')).toBe(false);
+    expect(matchSubject('>', 'a')).toBe(true);
+  });
+
+  it('should be curried', () => {
+    expect(['a.b', 'b.b', 'a.c'].filter(matchSubject('a.*')))
+      .toMatchObject(['a.b', 'a.c']);
+  });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const {
+  TransportAdapter
+} = require('../');
+
+const {
+  RequestTimeoutError,
+  Subscriptions,
+
+  callbackToPromise,
+  createInbox,
+  decodeEnvelope,
+  encodeEnvelope
+} = require('../src/transport');
+
+// Minimal adapter that loops published messages back to its own subscribers
+class LoopbackAdapter extends TransportAdapter {
+  constructor() {
+    super();
+
+    this._subs = new Subscriptions();
+  }
+
+  publish(subject, msg, replyTo) {
+    setImmediate(() => this._subs.dispatch(
+      null, subject, encodeEnvelope(msg, replyTo)
+    ));
+
+    return Promise.resolve();
+  }
+
+  subscribe(subject, callback) {
+    return this._subs.add(subject, subject, callback).handle;
+  }
+
+  unsubscribe(handle) {
+    this._subs.remove(handle);
+  }
+}
+
+describe('TransportAdapter', () => {
+  it('should reject publish when not implemented',
+    () => expect(new TransportAdapter().publish('a', 'msg')).rejects.toThrow(
+      'publish is not implemented'
+    ));
+
+  it('should throw on subscribe when not implemented',
+    () => expect(() => new TransportAdapter().subscribe('a')).toThrow());
+
+  it('should throw on unsubscribe when not implemented',
+    () => expect(() => new TransportAdapter().unsubscribe(1)).toThrow());
+
+  it('should close', () => new TransportAdapter().close());
+
+  it('should create unique inboxes', () => {
+    const adapter = new TransportAdapter();
+
+    expect(adapter.createInbox()).toMatch(/^_INBOX\.[0-9a-f]{24}$/);
+    expect(adapter.createInbox()).not.toBe(adapter.createInbox());
+  });
+
+  describe('request', () => {
+    it('should resolve a reply', () => {
+      const adapter = new LoopbackAdapter();
+
+      adapter.subscribe('a', (msg, replyTo) => {
+        adapter.publish(replyTo, `re: ${msg}`);
+      });
+
+      return adapter.request('a', 'msg', { timeout: 100 }).then(reply => {
+        expect(reply).toBe('re: msg');
+        expect(adapter._subs._subs.size).toBe(1);
+      });
+    });
+
+    it('should reject on timeout', () => {
+      const adapter = new LoopbackAdapter();
+
+      return expect(adapter.request('a', 'msg', { timeout: 10 })).rejects
+        .toBeInstanceOf(RequestTimeoutError)
+        .then(() => expect(adapter._subs._subs.size).toBe(0));
+    });
+
+    it('should reject when publish fails', () => {
+      const adapter = new LoopbackAdapter();
+
+      adapter.publish = () => Promise.reject(new Error('publish failed'));
+
+      return expect(adapter.request('a', 'msg', { timeout: 100 })).rejects
+        .toThrow('publish failed')
+        .then(() => expect(adapter._subs._subs.size).toBe(0));
+    });
+  });
+});
+
+describe('Subscriptions', () => {
+  it('should share bus-level keys', () => {
+    const subs = new Subscriptions();
+
+    const a = subs.add('a.*', 'a', () => {});
+    const b = subs.add('a.>', 'a', () => {});
+
+    expect(a.isNew).toBe(true);
+    expect(b.isNew).toBe(false);
+
+    expect(subs.remove(a.handle)).toBeNull();
+    expect(subs.remove(b.handle)).toBe('a');
+    expect(subs.remove(b.handle)).toBeNull();
+  });
+
+  it('should dispatch by key and subject', () => {
+    const subs     = new Subscriptions();
+    const received = [];
+
+    subs.add('a.*', 'x', (...args) => received.push(['a.*', ...args]));
+    subs.add('a.>', 'x', (...args) => received.push(['a.>', ...args]));
+    subs.add('a.b', 'y', (...args) => received.push(['a.b', ...args]));
+
+    subs.dispatch('x', 'a.b.c', encodeEnvelope('msg', 'reply'));
+    subs.dispatch(null, 'a.b', 'plain');
+
+    expect(received).toMatchObject([
+      ['a.>', 'msg',   'reply', 'a.b.c'],
+      ['a.*', 'plain', undefined, 'a.b'],
+      ['a.>', 'plain', undefined, 'a.b'],
+      ['a.b', 'plain', undefined, 'a.b']
+    ]);
+  });
+});
+
+describe('envelope', () => {
+  it('should round trip', () => {
+    expect(decodeEnvelope(encodeEnvelope('msg', 'reply')))
+      .toMatchObject({ msg: 'msg', replyTo: 'reply' });
+
+    expect(decodeEnvelope(encodeEnvelope('msg')))
+      .toMatchObject({ msg: 'msg' });
+  });
+
+  it('should pass through other payloads', () => {
+    expect(decodeEnvelope('{')).toMatchObject({ msg: '{' });
+    expect(decodeEnvelope('{"a":1}')).toMatchObject({ msg: '{"a":1}' });
+    expect(decodeEnvelope('null')).toMatchObject({ msg: 'null' });
+  });
+});
+
+describe('callbackToPromise', () => {
+  it('should resolve', () => callbackToPromise(cb => cb(null)));
+
+  it('should reject', () => expect(callbackToPromise(
+    cb => cb(new Error('failed'))
+  )).rejects.toThrow('failed'));
+});
+
+describe('createInbox', () => {
+  it('should create an inbox', () => expect(createInbox()).toMatch(/^_INBOX/));
+});
@@ -0,0 +1,372 @@
+'use strict';
+
+const {
+  stub
+} = require('sinon');
+
+const {
+  createMemoryModel,
+  MemoryTransport,
+  Provider,
+  Store,
+  ValidationError
+} = require('../');
+
+const {
+  getFields
+} = require('../src/schema');
+
+const {
+  applyDefaults,
+  validateObject,
+  validateUpdate
+} = require('../src/validation');
+
+const schema = {
+  name: 'User',
+
+  fields: ({ Mixed, ObjectId }) => ({
+    name: {
+      type:     String,
+      required: true
+    },
+
+    age: Number,
+
+    active: {
+      type: Boolean
+    },
+
+    friends: [ObjectId],
+
+    addresses: [{
+      city: {
+        type:     String,
+        required: true
+      }
+    }],
+
+    extra: Mixed,
+
+    metadata: {
+      created: {
+        type:     Date,
+        default:  Date.now,
+        required: true
+      },
+
+      deleted: Date
+    }
+  })
+};
+
+const fields = getFields(schema);
+
+const id = '5a0c2b1d3e4f5a6b7c8d9e0f';
+
+describe('validateObject', () => {
+  it('should accept valid objects', () => {
+    expect(validateObject(fields, {
+      name:      'a',
+      age:       1,
+      active:    true,
+      friends:   [id],
+      addresses: [{ city: 'b' }],
+      extra:     { any: [1] },
+      metadata:  { created: '2020-01-01T00:00:00.000Z', deleted: null }
+    })).toEqual([]);
+  });
+
+  it('should reject missing required fields without default', () => {
+    expect(validateObject(fields, { addresses: [{}] })).toEqual([
+      { kind: 'required', message: 'name is required', path: 'name' },
+      {
+        kind:    'required',
+        message: 'addresses.0.city is required',
+        path:    'addresses.0.city'
+      }
+    ]);
+  });
+
+  it('should reject values of other types', () => {
+    expect(validateObject(fields, {
+      name:     1,
+      age:      '1',
+      active:   'yes',
+      friends:  ['a', id],
+      metadata: { created: 'never' }
+    })).toMatchObject([
+      { kind: 'type', path: 'name', type: 'String' },
+      { kind: 'type', path: 'age', type: 'Number' },
+      { kind: 'type', path: 'active', type: 'Boolean' },
+      { kind: 'type', path: 'friends.0', type: 'ObjectId' },
+      { kind: 'type', path: 'metadata.created', type: 'Date' }
+    ]);
+  });
+
+  it('should reject non-object nested fields and non-array arrays', () => {
+    expect(validateObject(fields, {
+      name:      'a',
+      addresses: {},
+      metadata:  1
+    })).toMatchObject([
+      { path: 'addresses', type: 'Array' },
+      { path: 'metadata', type: 'Object' }
+    ]);
+  });
+
+  it('should prefix paths', () => {
+    expect(validateObject(fields, {}, '1')).toMatchObject([{ path: '1.name' }]);
+  });
+});
+
+describe('validateUpdate', () => {
+  it('should validate set fields only', () => {
+    expect(validateUpdate(fields, {
+      $set:  { age: 1, 'metadata.deleted': '2020-01-01', unknown: 1 },
+      $inc:  { age: 'not checked' },
+      extra: 1
+    })).toEqual([]);
+
+    expect(validateUpdate(fields, {
+      $set:   { 'addresses.0.city': 1, 'friends.$': 'a' },
+      $unset: { name: '' },
+      age:    'a'
+    })).toMatchObject([
+      { kind: 'type', path: 'addresses.0.city' },
+      { kind: 'type', path: 'friends.$' },
+      { kind: 'required', path: 'name' },
+      { kind: 'type', path: 'age' }
+    ]);
+  });
+});
+
+describe('applyDefaults', () => {
+  it('should apply defaults of missing fields', () => {
+    const _fields = {
+      name: String,
+
+      age: {
+        type:    Number,
+        default: 0
+      },
+
+      metadata: {
+        created: {
+          type:    Date,
+          default: () => 1
+        }
+      }
+    };
+
+    expect(applyDefaults(_fields, { name: 'a', age: null })).toEqual({
+      name:     'a',
+      age:      null,
+      metadata: { created: 1 }
+    });
+    expect(applyDefaults(_fields, { metadata: { created: 2 } }))
+      .toEqual({ age: 0, metadata: { created: 2 } });
+    expect(applyDefaults({ a: { b: Number } }, {})).toEqual({});
+  });
+});
+
+describe('Store', () => {
+  function setup(options) {
+    const transport = new MemoryTransport();
+
+    const model = createMemoryModel(schema);
+
+    stub(model, 'create').callThrough();
+    stub(model, 'update').callThrough();
+
+    new Store({
+      schema,
+      transport,
+
+      buildModel: () => model,
+
+      ...options
+    }).open();
+
+    return { model, provider: new Provider({ schema, transport }) };
+  }
+
+  it('should reject invalid creates', async() => {
+    const { model, provider } = setup();
+
+    const created = provider.create([{ name: 'a' }, { age: 1 }], { _id: 1 });
+
+    await expect(created).rejects.toBeInstanceOf(ValidationError);
+    await expect(created).rejects.toMatchObject({
+      code:    'VALIDATION',
+      details: { errors: [{ kind: 'required', path: '1.name' }] },
+      message: '1.name is required'
+    });
+    expect(model.create.called).toBe(false);
+  });
+
+  it('should reject invalid updates', async() => {
+    const { model, provider } = setup();
+
+    const { _id } = await provider.create({ name: 'a' }, { _id: 1 });
+
+    await expect(provider.updateById(_id, { $set: { age: 'a' } }, {}))
+      .rejects.toMatchObject({ details: { errors: [{ path: 'age' }] } });
+    expect(model.update.called).toBe(false);
+  });
+
+  it('should reject invalid objects of item results creates', done => {
+    const transport = new MemoryTransport();
+
+    new Store({
+      schema,
+      transport,
+
+      buildModel: () => createMemoryModel(schema)
+    }).open();
+
+    const provider = new Provider({
+      schema,
+      transport,
+
+      options: {
+        itemResults: { ordered: false }
+      }
+    });
+
+    const errors = [];
+    provider.on('stream-error', (err, chunk, index) =>
+      errors.push([err.details, index])
+    );
+
+    provider.on('created', ids => {
+      expect(ids).toHaveLength(1);
+      expect(errors).toMatchObject([[{ errors: [{ path: 'name' }] }, 0]]);
+
+      done();
+    });
+
+    provider.cork();
+    provider.write({ age: 1 });
+    provider.write({ name: 'a' });
+    provider.uncork();
+  });
+
+  it('should not validate when disabled', async() => {
+    const { model, provider } = setup({ validate: false });
+
+    await provider.create({ age: 'a' }, { _id: 1 });
+
+    expect(model.documents).toMatchObject([{ age: 'a' }]);
+  });
+});
+
+describe('Provider', () => {
+  function createProvider(options = { validate: true }) {
+    // Replies an outcome per object of item results creates
+    const request = stub().callsFake((subject, msg, _options, callback) => {
+      const { object, options: _msgOptions } = JSON.parse(msg);
+
+      setImmediate(() => callback(JSON.stringify({
+        result: _msgOptions
+          ? object.map((_, i) => ({ result: { _id: i } }))
+          : { _id: 1 }
+      })));
+    });
+
+    const provider = new Provider({
+      schema,
+      options,
+
+      transport: {
+        request,
+
+        subscribe()   {},
+        unsubscribe() {}
+      }
+    });
+
+    return { provider, request };
+  }
+
+  const sent = request => request.args.map(([, msg]) => JSON.parse(msg));
+
+  it('should apply defaults and reject invalid creates', async() => {
+    const { provider, request } = createProvider();
+
+    await expect(provider.create([{ name: 'a' }, { name: 1 }], { _id: 1 }))
+      .rejects.toMatchObject({
+        details: { errors: [{ kind: 'type', path: '1.name' }] }
+      });
+    expect(request.called).toBe(false);
+
+    await provider.create({ name: 'a' }, { _id: 1 });
+
+    expect(sent(request)).toMatchObject([{
+      object: { name: 'a', metadata: { created: expect.any(Number) } }
+    }]);
+  });
+
+  it('should reject invalid updates', async() => {
+    const { provider, request } = createProvider();
+
+    await expect(provider.updateById(id, { $set: { name: null } }, {}))
+      .rejects.toBeInstanceOf(ValidationError);
+    expect(request.called).toBe(false);
+  });
+
+  it('should not validate by default', async() => {
+    const { provider, request } = createProvider({});
+
+    await provider.create({ name: 1 }, { _id: 1 });
+
+    expect(sent(request)).toMatchObject([{ object: { name: 1 } }]);
+  });
+
+  it('should not send invalid chunks', done => {
+    const { provider, request } = createProvider();
+
+    provider.on('stream-error', err => {
+      expect(err).toBeInstanceOf(ValidationError);
+
+      setImmediate(() => {
+        expect(sent(request)).toMatchObject([{ object: [{ name: 'b' }] }]);
+
+        done();
+      });
+    });
+
+    provider.cork();
+    provider.write({ age: 1 });
+    provider.write({ name: 'b' });
+    provider.uncork();
+  });
+
+  it('should report invalid chunks with item results', done => {
+    const { provider, request } = createProvider({
+      itemResults: {},
+      validate:    true
+    });
+
+    const errors = [];
+    provider.on('stream-error', (err, chunk, index) =>
+      errors.push([err.code, chunk, index])
+    );
+
+    provider.on('created', ids => {
+      expect(ids).toEqual([0, 1]);
+      expect(errors).toEqual([['VALIDATION', { age: 1 }, 1]]);
+      expect(sent(request)).toMatchObject([
+        { object: [{ name: 'a' }, { name: 'c' }] }
+      ]);
+
+      done();
+    });
+
+    provider.cork();
+    provider.write({ name: 'a' });
+    provider.write({ age: 1 });
+    provider.write({ name: 'c' });
+    provider.uncork();
+  });
+});
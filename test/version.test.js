@@ -0,0 +1,121 @@
+'use strict';
+
+const {
+  ConflictError,
+  createMemoryModel,
+  MemoryTransport,
+  Provider,
+  Store,
+  ValidationError
+} = require('../');
+
+const versioned = {
+  name: 'User',
+
+  fields: {
+    a: Number,
+
+    metadata: {
+      updated: Date,
+      version: Number
+    }
+  }
+};
+
+const unversioned = {
+  name: 'User',
+
+  fields: {
+    a: Number
+  }
+};
+
+function setup(schema = versioned) {
+  const transport = new MemoryTransport();
+
+  const model = createMemoryModel(schema);
+
+  new Store({
+    schema,
+    transport,
+
+    buildModel: () => model
+  }).open();
+
+  return { model, provider: new Provider({ schema, transport }) };
+}
+
+const projection = { a: 1, 'metadata.version': 1 };
+
+describe('version', () => {
+  it('should start versions at 1', async() => {
+    const { provider } = setup();
+
+    expect(await provider.create({ a: 1 }, projection))
+      .toMatchObject({ a: 1, metadata: { version: 1 } });
+    expect(await provider.create([{ a: 2 }, { a: 3 }], projection))
+      .toMatchObject([
+        { metadata: { version: 1 } },
+        { metadata: { version: 1 } }
+      ]);
+  });
+
+  it('should increment versions on update', async() => {
+    const { provider } = setup();
+
+    const { _id } = await provider.create({ a: 1 }, { _id: 1 });
+
+    await provider.updateById(_id, { $set: { a: 2 } }, projection);
+
+    expect(await provider.updateById(_id, { $set: { a: 3 } }, projection))
+      .toMatchObject({ a: 3, metadata: { version: 3 } });
+  });
+
+  it('should update expected version', async() => {
+    const { provider } = setup();
+
+    const { _id } = await provider.create({ a: 1 }, { _id: 1 });
+
+    expect(await provider.updateById(_id, { $set: { a: 2 } }, projection, {
+      expectedVersion: 1
+    })).toMatchObject({ a: 2, metadata: { version: 2 } });
+  });
+
+  it('should reject update of other version', async() => {
+    const { model, provider } = setup();
+
+    const { _id } = await provider.create({ a: 1 }, { _id: 1 });
+
+    await provider.updateById(_id, { $set: { a: 2 } }, projection);
+
+    const updated = provider.updateById(_id, { $set: { a: 3 } }, projection, {
+      expectedVersion: 1
+    });
+
+    await expect(updated).rejects.toBeInstanceOf(ConflictError);
+    await expect(updated).rejects.toMatchObject({
+      code:    'CONFLICT',
+      details: { expectedVersion: 1, version: 2 }
+    });
+    expect(model.documents).toMatchObject([{ a: 2 }]);
+  });
+
+  it('should resolve null for missing entity', async() => {
+    const { provider } = setup();
+
+    expect(await provider.updateById(1, { $set: { a: 1 } }, projection, {
+      expectedVersion: 1
+    })).toBeNull();
+  });
+
+  it('should reject expected version without versioned schema', async() => {
+    const { model, provider } = setup(unversioned);
+
+    const { _id } = await provider.create({ a: 1 }, { _id: 1 });
+
+    await expect(provider.updateById(_id, { $set: { a: 2 } }, { a: 1 }, {
+      expectedVersion: 1
+    })).rejects.toBeInstanceOf(ValidationError);
+    expect(model.documents).toEqual([{ _id, a: 1 }]);
+  });
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+const {
+  EventEmitter
+} = require('events');
+
+const {
+  createMemoryModel,
+  LiveQuery,
+  MemoryTransport,
+  Provider,
+  Store,
+  WatchEvents
+} = require('../');
+
+const schema = {
+  name: 'User',
+
+  fields: {
+    metadata: {
+      deleted: {}
+    }
+  }
+};
+
+function setup() {
+  const transport = new MemoryTransport();
+
+  new Store({
+    schema,
+    transport,
+
+    buildModel: createMemoryModel,
+    notify:     true
+  }).open();
+
+  return new Provider({
+    schema,
+    transport,
+
+    options: { committedEvents: true }
+  });
+}
+
+// Records live query events until `count` events are received
+function record(query, count) {
+  const events = [];
+
+  return new Promise((resolve, reject) => {
+    const push = event => (...args) => {
+      events.push([event, ...args]);
+
+      if (events.length === count)
+        resolve(events);
+    };
+
+    query.on(WatchEvents.Added,   push('added'));
+    query.on(WatchEvents.Changed, push('changed'));
+    query.on(WatchEvents.Removed, push('removed'));
+    query.on(WatchEvents.Error,   reject);
+  });
+}
+
+const ready = query => new Promise(resolve => query.once('ready', resolve));
+
+describe('LiveQuery', () => {
+  it('should emit initial entities and ready', async() => {
+    const provider = setup();
+
+    await provider.create([{ age: 40 }, { age: 20 }], { _id: 1 });
+
+    const query = provider.watch({ age: { $gt: 30 } }, { age: 1 });
+
+    const added = record(query, 1);
+
+    expect(await ready(query)).toMatchObject([{ age: 40 }]);
+    expect(await added).toMatchObject([['added', { age: 40 }]]);
+
+    query.close();
+  });
+
+  it('should apply changes against conditions', async() => {
+    const provider = setup();
+
+    const { _id } = await provider.create({ age: 40, name: 'a' }, { _id: 1 });
+
+    const query = provider.watch({ age: { $gt: 30 } }, { age: 1 });
+
+    await ready(query);
+
+    const events = record(query, 5);
+
+    const { _id: createdId } = await provider.create({ age: 50 }, { _id: 1 });
+    await provider.create({ age: 10 }, { _id: 1 });
+    await provider.updateById(_id, { $set: { age: 41 } }, { _id: 1 });
+    // Changes outside of projection are ignored
+    await provider.updateById(_id, { $set: { name: 'b' } }, { _id: 1 });
+    await provider.updateById(_id, { $set: { age: 20 } }, { _id: 1 });
+    await provider.updateById(_id, { $set: { age: 31 } }, { _id: 1 });
+    await provider.deleteById(createdId, { _id: 1 });
+
+    expect(await events).toEqual([
+      ['added',   { _id: createdId, age: 50 }],
+      ['changed', { _id, age: 41 }, { _id, age: 40 }],
+      ['removed', { _id, age: 41 }],
+      ['added',   { _id, age: 31 }],
+      ['removed', { _id: createdId, age: 50 }]
+    ]);
+
+    expect(query.entities()).toEqual([{ _id, age: 31 }]);
+
+    query.close();
+  });
+
+  it('should apply events received while loading', async() => {
+    const provider = new EventEmitter();
+
+    provider._mergeConditions = conditions => conditions;
+    provider.find = () => new Promise(resolve => setImmediate(
+      () => resolve([{ _id: 1, a: 1 }])
+    ));
+
+    const query  = new LiveQuery(provider, { a: 1 }, { a: 1 });
+    const events = record(query, 2);
+
+    provider.emit('update', null, { object: { _id: 1, a: 2 } });
+
+    expect(await events).toEqual([
+      ['added',   { _id: 1, a: 1 }],
+      ['removed', { _id: 1, a: 1 }]
+    ]);
+
+    query.close();
+
+    expect(provider.listenerCount('update')).toBe(0);
+  });
+
+  it('should emit event errors', done => {
+    const provider = new EventEmitter();
+
+    provider._mergeConditions = conditions => conditions;
+    provider.find = () => Promise.resolve([]);
+
+    const query = new LiveQuery(provider, {}, {});
+
+    query.on(WatchEvents.Error, err => {
+      expect(err.message).toBe('failed');
+
+      done();
+    });
+
+    provider.emit('create', new Error('failed'));
+  });
+
+  it('should throw with unsupported operators', () => {
+    expect(() => setup().watch({ a: { $mod: [2, 0] } }, {}))
+      .toThrow('Unsupported operator: $mod');
+  });
+
+  it('should throw without args', () => {
+    const provider = setup();
+
+    expect(() => provider.watch()).toThrow('conditions must be set');
+    expect(() => provider.watch({})).toThrow('projection must be set');
+  });
+});